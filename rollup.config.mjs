@@ -205,4 +205,28 @@ const config = {
     ]
 };
 
-export default config;
+/**
+ * Render worker (src/renderWorker.js), started by renderPool.js next to plugin.cjs
+ * @type {import('rollup').RollupOptions}
+ */
+const renderWorkerConfig = {
+    input: "src/renderWorker.js",
+    output: {
+        file: `${flexPlugin}/backend/renderWorker.cjs`,
+        format: "cjs",
+        sourcemap: isWatching
+    },
+    plugins: [
+        json(),
+        nodeResolve({
+            browser: false,
+            exportConditions: ["node"],
+            preferBuiltins: true
+        }),
+        commonjs(),
+        !isWatching && terser()
+    ],
+    external: config.external
+};
+
+export default [config, renderWorkerConfig];
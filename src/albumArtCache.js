@@ -0,0 +1,176 @@
+// Album Art Cache
+// Decoded album art and its gradient colors, keyed by thumbnail URL, so progress redraws don't
+// download and decode the same image every second. The optional disk cache keeps the image
+// bytes across restarts and serves them while the thumbnail host can't be reached.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LRUCache } = require('lru-cache');
+const { loadImage } = require('skia-canvas');
+const logger = require('./loggerwrapper.js');
+const { getImageColors } = require('./utils');
+
+// Decoded images kept in memory (one per track, a queue of recent tracks is plenty)
+const MEMORY_CACHE_SIZE = 30;
+
+// Image files kept on disk, the oldest are removed first
+const DISK_CACHE_SIZE = 200;
+
+const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 500;
+const DOWNLOAD_TIMEOUT_MS = 10000; // Per attempt, a stalled thumbnail host mustn't hold a render
+
+// URLs that couldn't be loaded aren't tried again for a while, so every redraw of a key with
+// broken art doesn't start another round of downloads
+const FAILED_URL_TTL_MS = 60000;
+const FAILED_URL_CACHE_SIZE = 100;
+
+class AlbumArtCache {
+    /**
+     * @param {Object} options - { maxEntries, diskCacheDir (null disables the disk cache), maxDiskEntries }
+     */
+    constructor({ maxEntries = MEMORY_CACHE_SIZE, diskCacheDir = null, maxDiskEntries = DISK_CACHE_SIZE } = {}) {
+        this.memory = new LRUCache({ max: maxEntries });
+        this.failed = new LRUCache({ max: FAILED_URL_CACHE_SIZE, ttl: FAILED_URL_TTL_MS });
+        this.pending = new Map(); // url -> Promise of an entry being loaded
+        this.diskCacheDir = diskCacheDir;
+        this.maxDiskEntries = maxDiskEntries;
+    }
+
+    /**
+     * Enable (with a directory) or disable (null) the disk cache
+     */
+    setDiskCacheDir(diskCacheDir) {
+        this.diskCacheDir = diskCacheDir || null;
+    }
+
+    /**
+     * Get { image, colors } for a thumbnail URL, null if it can't be loaded
+     * Concurrent calls for the same URL share one download, a URL that failed is retried after FAILED_URL_TTL_MS
+     */
+    async get(url) {
+        if (!url) return null;
+
+        const cached = this.memory.get(url);
+        if (cached) return cached;
+        if (this.failed.has(url)) return null;
+
+        if (!this.pending.has(url)) {
+            this.pending.set(url, this.load(url).finally(() => this.pending.delete(url)));
+        }
+        return this.pending.get(url);
+    }
+
+    async load(url) {
+        let bytes = this.readFromDisk(url);
+        const fromDisk = !!bytes;
+        if (!bytes) {
+            bytes = await this.download(url);
+        }
+        if (!bytes) {
+            this.failed.set(url, true);
+            return null;
+        }
+
+        try {
+            const image = await loadImage(bytes);
+            const entry = { image, colors: getImageColors(null, image) };
+            this.memory.set(url, entry);
+            if (!fromDisk) {
+                this.writeToDisk(url, bytes);
+            }
+            return entry;
+        } catch (error) {
+            logger.warn(`Failed to decode album art from ${url}: ${error.message}`);
+            this.failed.set(url, true);
+            return null;
+        }
+    }
+
+    async download(url) {
+        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+            // The timeout covers the body too, a host can stall after sending the headers
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+            try {
+                const response = await fetch(url, { signal: controller.signal });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const bytes = Buffer.from(await response.arrayBuffer());
+                logger.debug(`Album art loaded successfully on attempt ${attempt}`);
+                return bytes;
+            } catch (error) {
+                const reason = controller.signal.aborted ? `timed out after ${DOWNLOAD_TIMEOUT_MS}ms` : error.message;
+                logger.warn(`Failed to load album art (Attempt ${attempt}/${MAX_RETRIES}) from ${url}: ${reason}`);
+                if (attempt < MAX_RETRIES) {
+                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+                }
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+        logger.error(`Failed to load album art after ${MAX_RETRIES} attempts. Using fallback.`);
+        return null;
+    }
+
+    getDiskPath(url) {
+        const name = crypto.createHash('sha1').update(url).digest('hex');
+        return path.join(this.diskCacheDir, `${name}.img`);
+    }
+
+    readFromDisk(url) {
+        if (!this.diskCacheDir) return null;
+        try {
+            const file = this.getDiskPath(url);
+            if (!fs.existsSync(file)) return null;
+            // Touch the file so pruning removes the least recently used art first
+            const now = new Date();
+            fs.utimesSync(file, now, now);
+            return fs.readFileSync(file);
+        } catch (error) {
+            logger.debug(`Album art disk cache read failed for ${url}: ${error.message}`);
+            return null;
+        }
+    }
+
+    writeToDisk(url, bytes) {
+        if (!this.diskCacheDir) return;
+        try {
+            fs.mkdirSync(this.diskCacheDir, { recursive: true });
+            fs.writeFileSync(this.getDiskPath(url), bytes);
+            this.pruneDisk();
+        } catch (error) {
+            logger.warn(`Album art disk cache write failed: ${error.message}`);
+        }
+    }
+
+    pruneDisk() {
+        const files = fs.readdirSync(this.diskCacheDir)
+            .filter(file => file.endsWith('.img'))
+            .map(file => {
+                const fullPath = path.join(this.diskCacheDir, file);
+                return { fullPath, mtimeMs: fs.statSync(fullPath).mtimeMs };
+            });
+        if (files.length <= this.maxDiskEntries) return;
+
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs)
+            .slice(0, files.length - this.maxDiskEntries)
+            .forEach(({ fullPath }) => fs.unlinkSync(fullPath));
+    }
+
+    clear() {
+        this.memory.clear();
+        this.failed.clear();
+    }
+}
+
+// Shared by all renders in this thread (every render worker has its own memory cache, the disk cache is shared)
+const albumArtCache = new AlbumArtCache();
+
+module.exports = {
+    AlbumArtCache,
+    albumArtCache,
+    MEMORY_CACHE_SIZE,
+    DISK_CACHE_SIZE
+};
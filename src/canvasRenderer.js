@@ -1,10 +1,34 @@
 // YouTube Music Canvas Renderer
-const { Canvas, loadImage } = require('skia-canvas');
+const { Canvas } = require('skia-canvas');
 const logger = require('./loggerwrapper.js');
-const { truncateText, getImageColors, roundedRect, createFallbackImage, decodeHtmlEntities } = require('./utils');
+const { truncateText, roundedRect, createFallbackImage, decodeHtmlEntities } = require('./utils');
+const { albumArtCache } = require('./albumArtCache.js');
+const { getMarqueeOffset, MARQUEE_STYLES, MARQUEE_LOOP_GAP } = require('./marquee.js');
+const { resolvePalette, getColorOverrides, ALBUM_ART_THEME } = require('./themes.js');
+const { loadIconImage } = require('./iconPacks.js');
+const { getTextFonts, getFontString } = require('./fonts.js');
+const { getTextDirection } = require('./textLayout.js');
+const { RenderCancelledError, throwIfCancelled } = require('./renderJobs.js');
 
 const createCanvas = (width, height) => new Canvas(width, height);
 
+const NOW_PLAYING_CORNER_RADIUS = 12;
+const NOW_PLAYING_PADDING = 4;
+const VERTICAL_BAR_HEIGHT = 3;
+
+/**
+ * Colors for a render from its theme option { id, overrides, artUrl } plus extra overrides
+ * The album art theme needs the current track's art colors (artUrl), from the album art cache
+ */
+async function resolveRenderPalette(theme = {}, overrides = {}) {
+    let albumColors = null;
+    if (theme?.id === ALBUM_ART_THEME && theme.artUrl) {
+        albumColors = (await albumArtCache.get(theme.artUrl))?.colors || null;
+        throwIfCancelled();
+    }
+    return resolvePalette(theme?.id, { albumColors, overrides: { ...theme?.overrides, ...overrides } });
+}
+
 /**
  * Draws a custom play icon
  */
@@ -55,6 +79,16 @@ function drawPauseIcon(ctx, x, y, size, color = '#FFFFFF') {
     ctx.restore();
 }
 
+/**
+ * Draw an icon pack image centered at x/y, fitted into a size x size square (aspect ratio kept)
+ */
+function drawIconImage(ctx, image, x, y, size) {
+    const scale = size / Math.max(image.width, image.height, 1);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    ctx.drawImage(image, x - drawWidth / 2, y - drawHeight / 2, drawWidth, drawHeight);
+}
+
 /**
  * Draws a custom like icon (thumbs up)
  */
@@ -251,10 +285,527 @@ function drawDislikeIcon(ctx, x, y, size, isDisliked, dislikedColor = '#FF0000',
     ctx.restore();
 }
 
+/**
+ * Draws a line of text in maxWidth, truncated with an ellipsis or, with marquee options, scrolled
+ * align 'center' centers a line that fits. Returns true if the line overflows and scrolls
+ * Right-to-left lines ('עומר אדם - תל אביב') start at the right edge, are cut at their logical
+ * end (the ellipsis is on the left) and scroll to the right
+ */
+function drawLineText(ctx, text, x, y, maxWidth, marquee = null, align = 'left') {
+    const rtl = getTextDirection(text) === 'rtl';
+    const startX = rtl ? x + maxWidth : x;
+    const direction = rtl ? -1 : 1; // Towards the end of the line
+    ctx.direction = rtl ? 'rtl' : 'ltr';
+    ctx.textAlign = rtl ? 'right' : 'left';
+
+    const textWidth = ctx.measureText(text).width;
+    if (!marquee?.enabled || textWidth <= maxWidth || maxWidth <= 0) {
+        const displayText = truncateText(ctx, text, maxWidth);
+        const offsetX = align === 'center' ? Math.max(0, (maxWidth - ctx.measureText(displayText).width) / 2) : 0;
+        ctx.fillText(displayText, startX + direction * offsetX, y);
+        ctx.direction = 'ltr';
+        return false;
+    }
+
+    const offset = getMarqueeOffset(textWidth, maxWidth, marquee.elapsedMs, marquee);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, 0, maxWidth, ctx.canvas.height);
+    ctx.clip();
+    ctx.fillText(text, startX - direction * offset, y);
+    if (marquee.style === MARQUEE_STYLES.LOOP) {
+        ctx.fillText(text, startX - direction * offset + direction * (textWidth + MARQUEE_LOOP_GAP), y);
+    }
+    ctx.restore();
+    ctx.direction = 'ltr';
+    return true;
+}
+
+// Time formatting, e.g. 3:07
+function formatTime(seconds) {
+    if (!seconds || isNaN(seconds)) return '0:00';
+    const totalSeconds = Math.floor(seconds);
+    const minutes = Math.floor(totalSeconds / 60);
+    const secs = totalSeconds % 60;
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+function getProgressRatio(progress, duration) {
+    return duration > 0 ? Math.min(1, Math.max(0, progress / duration)) : 0;
+}
+
+/**
+ * Gradient from the album art colors with a dark overlay for text readability
+ */
+function drawGradientBackground(ctx, np) {
+    const { width, height, palette } = np;
+    const gradientColors = palette.artGradient && np.albumColors ? np.albumColors : palette.gradient;
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, gradientColors[0]);
+    gradient.addColorStop(1, gradientColors[1]);
+
+    roundedRect(ctx, 0, 0, width, height, NOW_PLAYING_CORNER_RADIUS);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    ctx.fillStyle = palette.overlay;
+    roundedRect(ctx, 0, 0, width, height, NOW_PLAYING_CORNER_RADIUS);
+    ctx.fill();
+}
+
+/**
+ * Album art (or a YTM placeholder) in a rounded square
+ */
+function drawAlbumArt(ctx, albumArt, x, y, size, radius = 8, placeholderColor = '#FFFFFF') {
+    if (albumArt) {
+        ctx.save();
+        roundedRect(ctx, x, y, size, size, radius);
+        ctx.clip();
+        ctx.drawImage(albumArt, x, y, size, size);
+        ctx.restore();
+        return;
+    }
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+    roundedRect(ctx, x, y, size, size, radius);
+    ctx.fill();
+
+    ctx.fillStyle = placeholderColor;
+    ctx.font = `${size * 0.3}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('YTM', x + size / 2, y + size / 2);
+}
+
+function drawProgressBar(ctx, x, y, width, barHeight, ratio, color, trackColor = 'rgba(255, 255, 255, 0.2)') {
+    const radius = barHeight / 2;
+    ctx.fillStyle = trackColor;
+    roundedRect(ctx, x, y, width, barHeight, radius);
+    ctx.fill();
+
+    ctx.fillStyle = color;
+    roundedRect(ctx, x, y, width * ratio, barHeight, radius);
+    ctx.fill();
+}
+
+function drawPlayPauseIcon(ctx, isPlaying, centerX, centerY, size, color = '#FFFFFF') {
+    if (isPlaying) {
+        drawPauseIcon(ctx, centerX, centerY, size, color);
+    } else {
+        drawPlayIcon(ctx, centerX, centerY, size, color);
+    }
+}
+
+/**
+ * Font size that fits the key height: the configured size, at most maxRatio of the height, at least 8px
+ */
+function fitFontSize(fontSize, height, maxRatio) {
+    return Math.max(8, Math.min(parseInt(fontSize, 10) || 8, Math.floor(height * maxRatio)));
+}
+
+/**
+ * Standard layout: album art, title and artist, play/pause button, time info and progress bar
+ */
+function drawStandardLayout(ctx, np) {
+    drawGradientBackground(ctx, np);
+    return drawStandardContent(ctx, np);
+}
+
+/**
+ * Art size of the standard and blurred layouts: square at full key height, narrow keys keep two
+ * thirds of the width for text
+ */
+function getStandardArtSize(width, height, padding) {
+    return Math.max(0, Math.min(height - (padding * 2), Math.floor(width / 3)));
+}
+
+function drawStandardContent(ctx, np) {
+    const { width, height, padding } = np;
+    const artSize = getStandardArtSize(width, height, padding);
+    const artX = padding;
+    const artY = padding;
+
+    const textX = artX + artSize + padding;
+    const availableTextWidth = width - textX - padding;
+    const buttonSize = Math.min(28, artSize * 0.6);
+
+    drawAlbumArt(ctx, np.albumArt, artX, artY, artSize, 8, np.palette.text);
+
+    // Progress bar setup
+    const progressBarHeight = 4;
+    let progressBarY = height - padding;
+
+    if (np.showProgress && np.duration > 0) {
+        progressBarY = height - padding - progressBarHeight;
+        drawProgressBar(ctx, padding, progressBarY, width - (padding * 2), progressBarHeight,
+            getProgressRatio(np.progress, np.duration), np.progressBarColor, np.palette.track);
+    }
+
+    // Play/Pause button
+    if (np.showPlayPause) {
+        const buttonX = width - padding - buttonSize;
+        const buttonY = artY - progressBarHeight*2 + (artSize - buttonSize) / 2;
+        drawPlayPauseIcon(ctx, np.isPlaying, buttonX + buttonSize / 2, buttonY + buttonSize / 2, buttonSize, np.palette.text);
+    }
+
+    // Text rendering
+    const finalTitleFontSize = fitFontSize(np.titleFontSize, height, 0.6);
+    const finalArtistFontSize = fitFontSize(np.artistFontSize, height, 0.55);
+    const finalTimeFontSize = Math.max(8, Math.min(24, parseInt(np.timeFontSize, 10) || 10));
+    const timeText = `${formatTime(np.progress)} / ${formatTime(np.duration)}`;
+
+    // Calculate text positions
+    let timeTextWidth = 0;
+    if (np.showTimeInfo && np.duration > 0) {
+        ctx.font = getFontString(np.fonts.time, finalTimeFontSize);
+        timeTextWidth = ctx.measureText(timeText).width + padding * 2;
+    }
+
+    const adjustedAvailableTextWidth = availableTextWidth - timeTextWidth - (np.showPlayPause ? buttonSize + padding : 0);
+    let scrolling = false;
+
+    // Draw title
+    if (np.showTitle && np.title) {
+        ctx.fillStyle = np.palette.text;
+        ctx.font = getFontString(np.fonts.title, finalTitleFontSize, np.title);
+        ctx.textBaseline = 'top';
+
+        const titleY = artY + (np.showArtist ? 2 : (artSize - finalTitleFontSize) / 2);
+        scrolling = drawLineText(ctx, np.title, textX, titleY, adjustedAvailableTextWidth, np.marquee) || scrolling;
+    }
+
+    // Draw artist
+    if (np.showArtist && np.artist) {
+        ctx.fillStyle = np.palette.textSecondary;
+        ctx.font = getFontString(np.fonts.artist, finalArtistFontSize, np.artist);
+        ctx.textBaseline = 'top';
+
+        const artistY = artY + finalTitleFontSize + 4;
+        scrolling = drawLineText(ctx, np.artist, textX, artistY, adjustedAvailableTextWidth, np.marquee) || scrolling;
+    }
+
+    // Draw time info
+    if (np.showTimeInfo && np.duration > 0) {
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        ctx.shadowBlur = 2;
+        ctx.fillStyle = np.palette.text;
+        ctx.font = getFontString(np.fonts.time, finalTimeFontSize);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+
+        const timeY = np.showProgress ? progressBarY - 2 : height - padding - 2;
+        ctx.fillText(timeText, width - padding, timeY);
+        ctx.restore();
+    }
+
+    return scrolling;
+}
+
+/**
+ * Compact layout: title and artist on one text block, no art, small play/pause icon and a thin progress line
+ */
+function drawCompactLayout(ctx, np) {
+    const { width, height, padding } = np;
+    drawGradientBackground(ctx, np);
+
+    const barHeight = 2;
+    const hasProgress = np.showProgress && np.duration > 0;
+    if (hasProgress) {
+        drawProgressBar(ctx, 0, height - barHeight, width, barHeight, getProgressRatio(np.progress, np.duration), np.progressBarColor, np.palette.track);
+    }
+
+    const iconSize = Math.min(20, height * 0.4);
+    if (np.showPlayPause) {
+        drawPlayPauseIcon(ctx, np.isPlaying, padding + iconSize / 2, height / 2, iconSize, np.palette.text);
+    }
+
+    const textX = padding * 2 + (np.showPlayPause ? iconSize + padding : 0);
+    const textWidth = width - textX - padding * 2;
+    const lines = [
+        np.showTitle && np.title ? { text: np.title, font: size => getFontString(np.fonts.title, size, np.title), color: np.palette.text, fontSize: np.titleFontSize } : null,
+        np.showArtist && np.artist ? { text: np.artist, font: size => getFontString(np.fonts.artist, size, np.artist), color: np.palette.textSecondary, fontSize: np.artistFontSize } : null
+    ].filter(Boolean);
+    if (lines.length === 0) return false;
+
+    // Lines share the key height, centered together
+    const lineSizes = lines.map(line => fitFontSize(line.fontSize, height - barHeight, 0.8 / lines.length));
+    const blockHeight = lineSizes.reduce((sum, size) => sum + size, 0) + (lines.length - 1) * 2;
+    let y = (height - barHeight - blockHeight) / 2;
+    let scrolling = false;
+
+    ctx.textBaseline = 'top';
+    lines.forEach((line, index) => {
+        ctx.font = line.font(lineSizes[index]);
+        ctx.fillStyle = line.color;
+        scrolling = drawLineText(ctx, line.text, textX, y, textWidth, np.marquee) || scrolling;
+        y += lineSizes[index] + 2;
+    });
+    return scrolling;
+}
+
+/**
+ * Progress ring of the art-only layout, the round art fills it inside the ring
+ */
+function getRingGeometry(width, height, padding) {
+    const ringWidth = Math.max(2, Math.round(Math.min(width, height) / 20));
+    const ringSize = Math.min(width, height) - padding;
+    return { ringWidth, radius: (ringSize - ringWidth) / 2 };
+}
+
+/**
+ * Art-only layout: album art filling the key height, progress as a ring around it
+ */
+function drawArtLayout(ctx, np) {
+    const { width, height } = np;
+    drawGradientBackground(ctx, np);
+
+    const { ringWidth, radius } = getRingGeometry(width, height, np.padding);
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const artSize = Math.floor((radius - ringWidth) * Math.SQRT2);
+
+    // Round art inside the ring
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius - ringWidth, 0, Math.PI * 2);
+    ctx.clip();
+    drawAlbumArt(ctx, np.albumArt, centerX - (radius - ringWidth), centerY - (radius - ringWidth), (radius - ringWidth) * 2, 0, np.palette.text);
+    ctx.restore();
+
+    if (np.showProgress && np.duration > 0) {
+        ctx.lineWidth = ringWidth;
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = np.palette.track;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        const ratio = getProgressRatio(np.progress, np.duration);
+        if (ratio > 0) {
+            ctx.strokeStyle = np.progressBarColor;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, -Math.PI / 2, -Math.PI / 2 + ratio * Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    // Paused art is dimmed with a play icon on top
+    if (np.showPlayPause && !np.isPlaying) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius - ringWidth, 0, Math.PI * 2);
+        ctx.fill();
+        drawPlayIcon(ctx, centerX, centerY, artSize * 0.5);
+    }
+
+    return false;
+}
+
+/**
+ * Blurred layout: the album art blurred across the whole key as background, art, text and progress on top
+ */
+function drawBlurredLayout(ctx, np) {
+    const { width, height } = np;
+
+    ctx.save();
+    roundedRect(ctx, 0, 0, width, height, NOW_PLAYING_CORNER_RADIUS);
+    ctx.clip();
+    if (np.albumArt) {
+        // Cover the key, the blur radius scales with the key size
+        const scale = Math.max(width, height) / Math.min(np.albumArt.width || 1, np.albumArt.height || 1);
+        const drawWidth = (np.albumArt.width || 1) * scale;
+        const drawHeight = (np.albumArt.height || 1) * scale;
+        ctx.filter = `blur(${Math.max(4, Math.round(Math.min(width, height) / 6))}px)`;
+        ctx.drawImage(np.albumArt, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+        ctx.filter = 'none';
+    } else {
+        ctx.fillStyle = np.palette.gradient[0];
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.fillStyle = np.palette.overlay;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+
+    return drawStandardContent(ctx, np);
+}
+
+/**
+ * Big title layout: the title as large as the key allows, artist small underneath
+ */
+function drawBigTitleLayout(ctx, np) {
+    const { width, height, padding } = np;
+    drawGradientBackground(ctx, np);
+
+    const barHeight = 3;
+    const hasProgress = np.showProgress && np.duration > 0;
+    if (hasProgress) {
+        drawProgressBar(ctx, padding, height - padding - barHeight, width - padding * 2, barHeight,
+            getProgressRatio(np.progress, np.duration), np.progressBarColor, np.palette.track);
+    }
+
+    const textHeight = height - padding * 2 - (hasProgress ? barHeight + padding : 0);
+    const showArtist = np.showArtist && np.artist && textHeight >= 36;
+    const artistFontSize = showArtist ? fitFontSize(np.artistFontSize, textHeight, 0.25) : 0;
+    const titleFontSize = Math.max(10, Math.floor((textHeight - artistFontSize - (showArtist ? 2 : 0)) * 0.9));
+    const textWidth = width - padding * 4;
+    let scrolling = false;
+
+    ctx.textBaseline = 'top';
+    if (np.showTitle && np.title) {
+        ctx.fillStyle = np.palette.text;
+        ctx.font = getFontString(np.fonts.title, titleFontSize, np.title);
+        scrolling = drawLineText(ctx, np.title, padding * 2, padding, textWidth, np.marquee) || scrolling;
+    }
+    if (showArtist) {
+        ctx.fillStyle = np.palette.textSecondary;
+        ctx.font = getFontString(np.fonts.artist, artistFontSize, np.artist);
+        scrolling = drawLineText(ctx, np.artist, padding * 2, padding + textHeight - artistFontSize, textWidth, np.marquee) || scrolling;
+    }
+    return scrolling;
+}
+
+/**
+ * Two-line lyrics layout: centered title and artist lines, the title fills with color as the track plays
+ */
+function drawLyricsLayout(ctx, np) {
+    const { width, height, padding } = np;
+    drawGradientBackground(ctx, np);
+
+    const titleFontSize = fitFontSize(np.titleFontSize, height, 0.4);
+    const artistFontSize = fitFontSize(np.artistFontSize, height, 0.3);
+    const lineGap = Math.max(2, Math.floor(height / 15));
+    const blockHeight = titleFontSize + (np.showArtist && np.artist ? lineGap + artistFontSize : 0);
+    const titleY = (height - blockHeight) / 2;
+    const textX = padding * 2;
+    const textWidth = width - padding * 4;
+    let scrolling = false;
+
+    ctx.textBaseline = 'top';
+    if (np.showTitle && np.title) {
+        ctx.font = getFontString(np.fonts.title, titleFontSize, np.title);
+        ctx.fillStyle = np.palette.track;
+        scrolling = drawLineText(ctx, np.title, textX, titleY, textWidth, np.marquee, 'center') || scrolling;
+
+        // Sung part: the same line again in full color, clipped to the progress (from the right for RTL titles)
+        if (np.showProgress && np.duration > 0) {
+            const sungWidth = textWidth * getProgressRatio(np.progress, np.duration);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(getTextDirection(np.title) === 'rtl' ? textX + textWidth - sungWidth : textX, 0, sungWidth, height);
+            ctx.clip();
+            ctx.fillStyle = np.palette.text;
+            drawLineText(ctx, np.title, textX, titleY, textWidth, np.marquee, 'center');
+            ctx.restore();
+        }
+    }
+    if (np.showArtist && np.artist) {
+        ctx.font = getFontString(np.fonts.artist, artistFontSize, np.artist);
+        ctx.fillStyle = np.palette.textSecondary;
+        scrolling = drawLineText(ctx, np.artist, textX, titleY + titleFontSize + lineGap, textWidth, np.marquee, 'center') || scrolling;
+    }
+    return scrolling;
+}
+
+/**
+ * Sizes of the vertical layout: { textArea } the height of the text lines, { artSize } the width,
+ * less the height the text lines and progress bar take
+ */
+function getVerticalLayoutSizes(width, height, padding, lineCount, hasProgress) {
+    const textArea = lineCount > 0 ? Math.max(12, Math.floor(height * 0.35)) : 0;
+    const progressArea = hasProgress ? VERTICAL_BAR_HEIGHT + padding : 0;
+    const artSize = Math.max(0, Math.min(width - padding * 2, height - textArea - padding * 2 - progressArea));
+    return { artSize, textArea };
+}
+
+/**
+ * Vertical layout for narrow keys: art on top, title and artist centered below, progress at the bottom
+ */
+function drawVerticalLayout(ctx, np) {
+    const { width, height, padding } = np;
+    drawGradientBackground(ctx, np);
+
+    const barHeight = VERTICAL_BAR_HEIGHT;
+    const hasProgress = np.showProgress && np.duration > 0;
+    const lineCount = (np.showTitle && np.title ? 1 : 0) + (np.showArtist && np.artist ? 1 : 0);
+    const { artSize, textArea } = getVerticalLayoutSizes(width, height, padding, lineCount, hasProgress);
+
+    drawAlbumArt(ctx, np.albumArt, (width - artSize) / 2, padding, artSize, Math.min(8, artSize / 6), np.palette.text);
+    if (np.showPlayPause && !np.isPlaying && artSize > 0) {
+        drawPlayIcon(ctx, width / 2, padding + artSize / 2, artSize * 0.4);
+    }
+
+    const textWidth = width - padding * 2;
+    const lineSize = lineCount > 0 ? Math.max(8, Math.floor((textArea - 2) / lineCount)) : 0;
+    let y = padding + artSize + 2;
+    let scrolling = false;
+
+    ctx.textBaseline = 'top';
+    if (np.showTitle && np.title) {
+        ctx.fillStyle = np.palette.text;
+        ctx.font = getFontString(np.fonts.title, fitFontSize(np.titleFontSize, lineSize, 1), np.title);
+        scrolling = drawLineText(ctx, np.title, padding, y, textWidth, np.marquee, 'center') || scrolling;
+        y += lineSize;
+    }
+    if (np.showArtist && np.artist) {
+        ctx.fillStyle = np.palette.textSecondary;
+        ctx.font = getFontString(np.fonts.artist, fitFontSize(np.artistFontSize, lineSize, 0.9), np.artist);
+        scrolling = drawLineText(ctx, np.artist, padding, y, textWidth, np.marquee, 'center') || scrolling;
+    }
+
+    if (hasProgress) {
+        drawProgressBar(ctx, padding, height - padding - barHeight, width - padding * 2, barHeight,
+            getProgressRatio(np.progress, np.duration), np.progressBarColor, np.palette.track);
+    }
+    return scrolling;
+}
+
+// Now playing layouts by name, each draws the key and returns true while a marquee line scrolls
+const NOW_PLAYING_LAYOUTS = {
+    standard: drawStandardLayout,
+    compact: drawCompactLayout,
+    art: drawArtLayout,
+    blurred: drawBlurredLayout,
+    bigtitle: drawBigTitleLayout,
+    lyrics: drawLyricsLayout,
+    vertical: drawVerticalLayout
+};
+
+/**
+ * Largest size in pixels a layout draws the album art at on a key of width x height, the thumbnail
+ * to load is picked for it. options are the key's showTitle, showArtist and showProgress settings.
+ * Layouts without art (compact, big title, lyrics) return 0, the smallest thumbnail still gives the
+ * album art theme its colors.
+ */
+function getAlbumArtSize(layout, width, height, options = {}) {
+    const padding = NOW_PLAYING_PADDING;
+    switch (NOW_PLAYING_LAYOUTS[layout] ? layout : 'standard') {
+        case 'art': {
+            const { ringWidth, radius } = getRingGeometry(width, height, padding);
+            return Math.max(0, Math.ceil((radius - ringWidth) * 2));
+        }
+        case 'blurred':
+            // The blurred background covers the key, the art on top is smaller
+            return Math.max(width, height);
+        case 'vertical': {
+            const lineCount = (options.showTitle !== false ? 1 : 0) + (options.showArtist !== false ? 1 : 0);
+            return getVerticalLayoutSizes(width, height, padding, lineCount, options.showProgress !== false).artSize;
+        }
+        case 'compact':
+        case 'bigtitle':
+        case 'lyrics':
+            return 0;
+        default:
+            return getStandardArtSize(width, height, padding);
+    }
+}
+
 /**
  * Creates a modern YouTube Music now playing display
  */
 async function createYouTubeMusicCanvas(config) {
+    // Colors not given explicitly come from the palette (see themes.js)
+    const palette = config.palette || resolvePalette();
     const {
         width = 480,
         height = 60,
@@ -273,15 +824,25 @@ async function createYouTubeMusicCanvas(config) {
         titleFontSize = 20,
         artistFontSize = 16,
         timeFontSize = 14,
-        progressBarColor = '#FF0000',
-        renderType = 'nowplaying', // 'nowplaying', 'like', 'playpause', 'dislike'
+        progressBarColor = palette.accent,
+        renderType = 'nowplaying', // 'nowplaying', 'like', 'playpause', 'dislike', 'icon', 'status', 'connection'
+        layout = 'standard', // Now playing layout, see NOW_PLAYING_LAYOUTS
         isLiked = null,
-        likedColor = '#FF0000',
-        unlikedColor = '#FFFFFF',
-        likeBgColor = '#424242',
-        playColor = '#00FF00',
-        pauseColor = '#FF6600',
-        bgColor = '#424242',
+        likedColor = palette.likedColor,
+        unlikedColor = palette.unlikedColor,
+        likeBgColor = palette.background,
+        playColor = palette.playColor,
+        pauseColor = palette.pauseColor,
+        bgColor = palette.background,
+        statusText = '',
+        statusSubtext = '',
+        statusColor = palette.text,
+        connectionItems = [],
+        connectionDetail = '',
+        marquee = null, // { enabled, speed, pauseMs, style, elapsedMs } scrolls overflowing title and artist
+        frameInfo = null, // Filled with { scrolling } by the now playing render
+        iconImage = null, // Icon pack image for like, dislike, play/pause and icon keys (see iconPacks.js)
+        fonts = getTextFonts(), // { title, artist, time }: { family, weight, style } (see fonts.js)
         options = {}
     } = config;
 
@@ -295,30 +856,38 @@ async function createYouTubeMusicCanvas(config) {
     // Handle different render types
     if (renderType === 'like') {
         // Render like button
-        ctx.fillStyle = likeBgColor || '#424242';
+        ctx.fillStyle = likeBgColor;
         const cornerRadius = 10;
         roundedRect(ctx, 0, 0, width, height, cornerRadius);
         ctx.fill();
 
         const iconSize = Math.min(width, height) * 0.6;
-        drawLikeIcon(ctx, width / 2, height / 2, iconSize, isLiked, likedColor, unlikedColor);
+        if (iconImage) {
+            drawIconImage(ctx, iconImage, width / 2, height / 2, iconSize);
+        } else {
+            drawLikeIcon(ctx, width / 2, height / 2, iconSize, isLiked, likedColor, unlikedColor);
+        }
         return canvas;
     }
 
     if (renderType === 'dislike') {
         // Render dislike button
-        ctx.fillStyle = likeBgColor || '#424242';
+        ctx.fillStyle = likeBgColor;
         const cornerRadius = 10;
         roundedRect(ctx, 0, 0, width, height, cornerRadius);
         ctx.fill();
         const iconSize = Math.min(width, height) * 0.6;
-        drawDislikeIcon(ctx, width / 2, height / 2, iconSize, isLiked, likedColor, unlikedColor);
+        if (iconImage) {
+            drawIconImage(ctx, iconImage, width / 2, height / 2, iconSize);
+        } else {
+            drawDislikeIcon(ctx, width / 2, height / 2, iconSize, isLiked, likedColor, unlikedColor);
+        }
         return canvas;
     }
 
     if (renderType === 'playpause') {
         // Render play/pause button
-        ctx.fillStyle = bgColor || '#424242';
+        ctx.fillStyle = bgColor;
         const cornerRadius = 10;
         roundedRect(ctx, 0, 0, width, height, cornerRadius);
         ctx.fill();
@@ -326,7 +895,9 @@ async function createYouTubeMusicCanvas(config) {
         const iconSize = Math.min(width, height) * 0.6;
         const iconColor = isPlaying ? pauseColor : playColor;
         
-        if (isPlaying) {
+        if (iconImage) {
+            drawIconImage(ctx, iconImage, width / 2, height / 2, iconSize);
+        } else if (isPlaying) {
             drawPauseIcon(ctx, width / 2, height / 2, iconSize, iconColor);
         } else {
             drawPlayIcon(ctx, width / 2, height / 2, iconSize, iconColor);
@@ -334,193 +905,120 @@ async function createYouTubeMusicCanvas(config) {
         return canvas;
     }
 
-    // Default: Now Playing display
-    const padding = 4;
-    const artSize = height - (padding * 2);
-    const artX = padding;
-    const artY = padding;
-    const artRadius = 8;
-
-    let albumArt = null;
-    let gradientColors = ['#1E1E1E', '#2E2E2E']; // Default YouTube Music dark theme
-
-    // Load album art with retry logic
-    if (albumArtUrl) {
-        const MAX_RETRIES = 3;
-        const RETRY_DELAY_MS = 500;
-
-        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                albumArt = await loadImage(albumArtUrl);
-                logger.debug(`Album art loaded successfully on attempt ${attempt}`);
-                break;
-            } catch (imgError) {
-                logger.warn(`Failed to load album art (Attempt ${attempt}/${MAX_RETRIES}) from ${albumArtUrl}: ${imgError.message}`);
-                if (attempt === MAX_RETRIES) {
-                    logger.error(`Failed to load album art after ${MAX_RETRIES} attempts. Using fallback.`);
-                } else {
-                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
-                }
-            }
-        }
-
-        if (albumArt) {
-            gradientColors = getImageColors(ctx, albumArt);
-        }
+    if (renderType === 'icon') {
+        // Render an icon pack image on the key background (previous, next, shuffle, repeat, ...)
+        ctx.fillStyle = bgColor;
+        roundedRect(ctx, 0, 0, width, height, 10);
+        ctx.fill();
+        drawIconImage(ctx, iconImage, width / 2, height / 2, Math.min(width, height) * 0.6);
+        return canvas;
     }
 
-    // Create background gradient
-    const gradient = ctx.createLinearGradient(0, 0, width, 0);
-    gradient.addColorStop(0, gradientColors[0]);
-    gradient.addColorStop(1, gradientColors[1]);
-
-    // Draw background
-    const cornerRadius = 12;
-    roundedRect(ctx, 0, 0, width, height, cornerRadius);
-    ctx.fillStyle = gradient;
-    ctx.fill();
+    if (renderType === 'status') {
+        // Render a connection/status message (e.g. "Offline") in place of the key content
+        ctx.fillStyle = bgColor;
+        roundedRect(ctx, 0, 0, width, height, 10);
+        ctx.fill();
 
-    // Add overlay for better text readability
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    roundedRect(ctx, 0, 0, width, height, cornerRadius);
-    ctx.fill();
+        const maxTextWidth = width - 8;
+        const statusFontSize = Math.max(10, Math.min(18, Math.floor(height / 3.5)));
+        const subtextFontSize = Math.max(8, statusFontSize - 5);
+        const statusY = statusSubtext ? height / 2 - subtextFontSize / 2 - 1 : height / 2;
 
-    // Layout calculations
-    const textX = artX + artSize + padding;
-    const availableTextWidth = width - textX - padding;
-    const buttonSize = Math.min(28, artSize * 0.6);
-    
-    // Draw album art
-    if (albumArt) {
-        ctx.save();
-        roundedRect(ctx, artX, artY, artSize, artSize, artRadius);
-        ctx.clip();
-        ctx.drawImage(albumArt, artX, artY, artSize, artSize);
-        ctx.restore();
-    } else {
-        // Fallback album art placeholder
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-        roundedRect(ctx, artX, artY, artSize, artSize, artRadius);
-        ctx.fill();
-        
-        // YouTube Music logo placeholder
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = `${artSize * 0.3}px sans-serif`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText('YTM', artX + artSize / 2, artY + artSize / 2);
-    }
+        ctx.fillStyle = statusColor;
+        ctx.font = getFontString({ ...fonts.title, weight: 'bold' }, statusFontSize, statusText);
+        ctx.fillText(truncateText(ctx, statusText, maxTextWidth), width / 2, statusY);
 
-    // Progress bar setup
-    const progressBarHeight = 4;
-    const progressBarRadius = progressBarHeight / 2;
-    let progressBarY = height - padding;
+        if (statusSubtext) {
+            ctx.fillStyle = palette.textSecondary;
+            ctx.font = getFontString(fonts.artist, subtextFontSize, statusSubtext);
+            ctx.fillText(truncateText(ctx, statusSubtext, maxTextWidth), width / 2, statusY + statusFontSize / 2 + subtextFontSize / 2 + 3);
+        }
+        return canvas;
+    }
 
-    if (showProgress && duration > 0) {
-        progressBarY = height - padding - progressBarHeight;
-        
-        // Background bar
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-        roundedRect(ctx, padding, progressBarY, width - (padding * 2), progressBarHeight, progressBarRadius);
-        ctx.fill();
-        
-        // Progress fill
-        ctx.fillStyle = progressBarColor;
-        const progressRatio = Math.min(1, Math.max(0, progress / duration));
-        const progressWidth = (width - (padding * 2)) * progressRatio;
-        roundedRect(ctx, padding, progressBarY, progressWidth, progressBarHeight, progressBarRadius);
+    if (renderType === 'connection') {
+        // Render one colored dot + label per connection item (server, auth, socket) and a detail line
+        ctx.fillStyle = bgColor;
+        roundedRect(ctx, 0, 0, width, height, 10);
         ctx.fill();
-    }
 
-    // Play/Pause button
-    if (showPlayPause) {
-        const buttonX = width - padding - buttonSize;
-        const buttonY = artY - progressBarHeight*2 + (artSize - buttonSize) / 2;
-        
-        if (isPlaying) {
-            drawPauseIcon(ctx, buttonX + buttonSize / 2, buttonY + buttonSize / 2, buttonSize, '#FFFFFF');
-        } else {
-            drawPlayIcon(ctx, buttonX + buttonSize / 2, buttonY + buttonSize / 2, buttonSize, '#FFFFFF');
-        }
-    }
+        const labelFontSize = Math.max(8, Math.min(13, Math.floor(height / 5)));
+        const detailFontSize = Math.max(8, labelFontSize - 2);
+        const columnWidth = width / Math.max(1, connectionItems.length);
+        const dotRadius = Math.max(3, Math.floor(labelFontSize / 2.5));
+        const rowY = height * 0.36;
 
-    // Text rendering
-    const finalTitleFontSize = Math.max(8, titleFontSize);
-    const finalArtistFontSize = Math.max(8, artistFontSize);
+        ctx.textBaseline = 'middle';
+        connectionItems.forEach((item, index) => {
+            ctx.font = getFontString({ ...fonts.title, weight: 'bold' }, labelFontSize);
+            const label = truncateText(ctx, item.label, columnWidth - dotRadius * 2 - 8);
+            const labelWidth = ctx.measureText(label).width;
+            const startX = index * columnWidth + (columnWidth - labelWidth - dotRadius * 2 - 4) / 2;
 
-    // Decode HTML entities
-    const decodedTrackName = decodeHtmlEntities(trackName);
-    const decodedArtistName = decodeHtmlEntities(artistName);
+            ctx.fillStyle = item.color;
+            ctx.beginPath();
+            ctx.arc(startX + dotRadius, rowY, dotRadius, 0, Math.PI * 2);
+            ctx.fill();
 
-    // Time formatting
-    function formatTime(seconds) {
-        if (!seconds || isNaN(seconds)) return '0:00';
-        const totalSeconds = Math.floor(seconds);
-        const minutes = Math.floor(totalSeconds / 60);
-        const secs = totalSeconds % 60;
-        return `${minutes}:${secs.toString().padStart(2, '0')}`;
-    }
+            ctx.fillStyle = palette.text;
+            ctx.textAlign = 'left';
+            ctx.fillText(label, startX + dotRadius * 2 + 4, rowY);
+        });
 
-    // Calculate text positions
-    let timeTextWidth = 0;
-    if (showTimeInfo && duration > 0) {
-        const parsedTimeFontSize = parseInt(timeFontSize, 10);
-        const finalTimeFontSize = Math.max(8, Math.min(24, parsedTimeFontSize || 10));
-        
-        ctx.font = `${finalTimeFontSize}px sans-serif`;
-        const currentTime = formatTime(progress);
-        const totalTime = formatTime(duration);
-        const timeText = `${currentTime} / ${totalTime}`;
-        timeTextWidth = ctx.measureText(timeText).width + padding * 2;
+        if (connectionDetail) {
+            ctx.fillStyle = palette.textSecondary;
+            ctx.font = getFontString(fonts.artist, detailFontSize);
+            ctx.textAlign = 'center';
+            ctx.fillText(truncateText(ctx, connectionDetail, width - 8), width / 2, height * 0.72);
+        }
+        return canvas;
     }
 
-    const adjustedAvailableTextWidth = availableTextWidth - timeTextWidth - (showPlayPause ? buttonSize + padding : 0);
+    // Default: Now Playing display
+    let albumArt = null;
+    let albumColors = null;
 
-    // Draw title
-    if (showTitle && decodedTrackName) {
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = `bold ${finalTitleFontSize}px sans-serif`;
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
-        
-        const titleY = artY + (showArtist ? 2 : (artSize - finalTitleFontSize) / 2);
-        const displayTrackName = truncateText(ctx, decodedTrackName, adjustedAvailableTextWidth);
-        ctx.fillText(displayTrackName, textX, titleY);
+    // Decoded art and its colors come from the cache, only a new track downloads anything
+    if (albumArtUrl) {
+        const cachedArt = await albumArtCache.get(albumArtUrl);
+        if (cachedArt) {
+            albumArt = cachedArt.image;
+            albumColors = cachedArt.colors;
+        }
+        throwIfCancelled(); // A download may have taken a while, a newer frame may have replaced this one
     }
 
-    // Draw artist
-    if (showArtist && decodedArtistName) {
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.font = `${finalArtistFontSize}px sans-serif`;
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
-        
-        const artistY = artY + finalTitleFontSize + 4;
-        const displayArtistName = truncateText(ctx, decodedArtistName, adjustedAvailableTextWidth);
-        ctx.fillText(displayArtistName, textX, artistY);
-    }
+    const drawLayout = NOW_PLAYING_LAYOUTS[layout] || NOW_PLAYING_LAYOUTS.standard;
+    const scrolling = drawLayout(ctx, {
+        width,
+        height,
+        padding: NOW_PLAYING_PADDING,
+        albumArt,
+        albumColors,
+        palette,
+        fonts,
+        title: decodeHtmlEntities(trackName),
+        artist: decodeHtmlEntities(artistName),
+        isPlaying,
+        progress,
+        duration,
+        showProgress,
+        showTitle,
+        showArtist,
+        showPlayPause,
+        showTimeInfo,
+        titleFontSize,
+        artistFontSize,
+        timeFontSize,
+        progressBarColor,
+        marquee
+    });
 
-    // Draw time info
-    if (showTimeInfo && duration > 0) {
-        const parsedTimeFontSize = parseInt(timeFontSize, 10);
-        const finalTimeFontSize = Math.max(8, Math.min(24, parsedTimeFontSize || 10));
-        
-        ctx.save();
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
-        ctx.shadowBlur = 2;
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = `${finalTimeFontSize}px sans-serif`;
-        ctx.textAlign = 'right';
-        ctx.textBaseline = 'bottom';
-        
-        const currentTime = formatTime(progress);
-        const totalTime = formatTime(duration);
-        const timeText = `${currentTime} / ${totalTime}`;
-        
-        const timeY = showProgress ? progressBarY - 2 : height - padding - 2;
-        const timeX = width - padding;
-        ctx.fillText(timeText, timeX, timeY);
-        ctx.restore();
+    if (frameInfo) {
+        frameInfo.scrolling = scrolling;
     }
 
     return canvas;
@@ -531,15 +1029,12 @@ async function createYouTubeMusicCanvas(config) {
  */
 async function createYouTubeMusicButtonDataUrl(width, trackName, artistName, isPlaying, albumArtUrl, progress, duration, style = {}, showProgress = true, showTitle = true, showPlayPause = true, titleFontSize = 18, artistFontSize = 14, showTimeInfo = true, timeFontSize = 10, options = {}) {
     try {
-        // Extract style properties
-        let progressBarColor = '#FF0000'; // YouTube Music red
-        if (style.progressBarColor && style.progressBarColor !== '') {
-            progressBarColor = style.progressBarColor;
-        }
+        // Colors passed in style and options override the theme, empty ones follow it
+        const palette = await resolveRenderPalette(options.theme, { ...getColorOverrides(style), ...getColorOverrides(options) });
 
         const canvas = await createYouTubeMusicCanvas({
             width: width,
-            height: 60,
+            height: options.height || 60,
             trackName,
             artistName,
             isPlaying,
@@ -548,25 +1043,109 @@ async function createYouTubeMusicButtonDataUrl(width, trackName, artistName, isP
             duration,
             showProgress,
             showTitle,
+            showArtist: options.showArtist !== false,
             showPlayPause,
             titleFontSize,
             artistFontSize,
             showTimeInfo,
             timeFontSize,
-            progressBarColor,
+            palette,
             renderType: options.renderType || 'nowplaying',
             isLiked: options.isLiked,
-            likedColor: options.likedColor,
-            unlikedColor: options.unlikedColor,
-            likeBgColor: options.likeBgColor,
-            playColor: options.playColor,
-            pauseColor: options.pauseColor,
-            bgColor: options.bgColor
+            layout: options.layout,
+            marquee: options.marquee,
+            frameInfo: options.frameInfo,
+            iconImage: await loadIconImage(options.icon),
+            fonts: options.fonts
         });
 
+        throwIfCancelled(); // Skip the PNG encode of a stale frame
         return canvas.toDataURL('image/png');
     } catch (error) {
+        if (error instanceof RenderCancelledError) throw error;
         logger.error('Error creating YouTube Music button Data URL:', error);
+        return createFallbackImage(width, options.height || 60);
+    }
+}
+
+/**
+ * Creates the now playing key image, takes the createYouTubeMusicButtonDataUrl arguments
+ * Resolves with { dataUrl, scrolling }, scrolling is true while a marquee line overflows
+ * (the key needs animation frames until it no longer does)
+ */
+async function createNowPlayingFrame(width, trackName, artistName, isPlaying, albumArtUrl, progress, duration, style = {}, showProgress = true, showTitle = true, showPlayPause = true, titleFontSize = 18, artistFontSize = 14, showTimeInfo = true, timeFontSize = 10, options = {}) {
+    const frameInfo = { scrolling: false };
+    const dataUrl = await createYouTubeMusicButtonDataUrl(width, trackName, artistName, isPlaying, albumArtUrl, progress, duration, style,
+        showProgress, showTitle, showPlayPause, titleFontSize, artistFontSize, showTimeInfo, timeFontSize, { ...options, frameInfo });
+    return { dataUrl, scrolling: frameInfo.scrolling };
+}
+
+/**
+ * Creates a control key image from an icon pack file ({ path, version } from iconPacks.getIcon)
+ * Resolves with null when the icon can't be loaded, the key then keeps its built-in look
+ */
+async function createIconKeyDataUrl(width, icon, options = {}) {
+    const iconImage = await loadIconImage(icon);
+    if (!iconImage) return null;
+
+    try {
+        const canvas = await createYouTubeMusicCanvas({
+            width,
+            height: options.height || 60,
+            renderType: 'icon',
+            iconImage,
+            palette: await resolveRenderPalette(options.theme, getColorOverrides(options))
+        });
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        if (error instanceof RenderCancelledError) throw error;
+        logger.error('Error creating icon key Data URL:', error);
+        return null;
+    }
+}
+
+/**
+ * Creates a status message key image (e.g. "Offline") as Base64 PNG data URL
+ */
+async function createStatusDataUrl(width, statusText, statusSubtext = '', options = {}) {
+    try {
+        const canvas = await createYouTubeMusicCanvas({
+            width,
+            height: 60,
+            renderType: 'status',
+            statusText,
+            statusSubtext,
+            statusColor: options.statusColor,
+            fonts: options.fonts,
+            palette: await resolveRenderPalette(options.theme, getColorOverrides(options))
+        });
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        if (error instanceof RenderCancelledError) throw error;
+        logger.error('Error creating status Data URL:', error);
+        return createFallbackImage(width, 60);
+    }
+}
+
+/**
+ * Creates the connection status key image as Base64 PNG data URL
+ * items: [{ label, color }], detail: text line below the items
+ */
+async function createConnectionDataUrl(width, items, detail = '', options = {}) {
+    try {
+        const canvas = await createYouTubeMusicCanvas({
+            width,
+            height: 60,
+            renderType: 'connection',
+            connectionItems: items,
+            connectionDetail: detail,
+            fonts: options.fonts,
+            palette: await resolveRenderPalette(options.theme, getColorOverrides(options))
+        });
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        if (error instanceof RenderCancelledError) throw error;
+        logger.error('Error creating connection Data URL:', error);
         return createFallbackImage(width, 60);
     }
 }
@@ -574,6 +1153,12 @@ async function createYouTubeMusicButtonDataUrl(width, trackName, artistName, isP
 module.exports = {
     createYouTubeMusicCanvas,
     createYouTubeMusicButtonDataUrl,
+    createNowPlayingFrame,
+    createIconKeyDataUrl,
+    createStatusDataUrl,
+    createConnectionDataUrl,
+    NOW_PLAYING_LAYOUTS,
+    getAlbumArtSize,
     drawPlayIcon,
     drawPauseIcon,
     drawLikeIcon
@@ -0,0 +1,132 @@
+// Circuit Breaker for Companion Server requests
+// Stops hammering a YTMD instance that is known to be down and lets callers fail fast
+const logger = require('./loggerwrapper.js');
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',       // Requests flow normally
+    OPEN: 'open',           // Server considered down, requests fail fast
+    HALF_OPEN: 'half-open'  // Cooldown elapsed, a single trial request decides
+};
+
+class CircuitBreaker {
+    constructor({ name = 'circuit', failureThreshold = 3, resetTimeoutMs = 15000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false; // Half-open lets one request through until it is recorded
+        this.stateChangeCallbacks = [];
+    }
+
+    /**
+     * Whether a request may be sent right now
+     * Moves an open circuit to half-open once the cooldown has elapsed. In half-open only the first
+     * caller gets true, it sends the trial request and must record its outcome (recordSuccess or
+     * recordFailure), everyone else fails fast until then
+     */
+    canRequest() {
+        if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.setState(CIRCUIT_STATES.HALF_OPEN);
+        }
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            if (this.trialInFlight) {
+                return false;
+            }
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state !== CIRCUIT_STATES.OPEN;
+    }
+
+    /**
+     * Record a request that reached the server
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.trialInFlight = false;
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.setState(CIRCUIT_STATES.CLOSED);
+        }
+    }
+
+    /**
+     * Record a request that could not reach the server (network error, timeout, 5xx)
+     */
+    recordFailure() {
+        this.consecutiveFailures++;
+        this.trialInFlight = false;
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            if (this.state !== CIRCUIT_STATES.OPEN) {
+                this.setState(CIRCUIT_STATES.OPEN);
+            }
+        }
+    }
+
+    /**
+     * Close the circuit and forget previous failures (e.g. after the server address changed)
+     */
+    reset() {
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.setState(CIRCUIT_STATES.CLOSED);
+        }
+    }
+
+    /**
+     * Drop the state change callbacks and close the circuit without notifying (owner is discarded)
+     */
+    dispose() {
+        this.stateChangeCallbacks = [];
+        this.reset();
+    }
+
+    /**
+     * Milliseconds until an open circuit allows the next attempt
+     */
+    getRetryDelay() {
+        if (this.state !== CIRCUIT_STATES.OPEN) {
+            return 0;
+        }
+        return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    isOpen() {
+        return this.state === CIRCUIT_STATES.OPEN;
+    }
+
+    /**
+     * Register callback for state changes, called with (newState, previousState)
+     */
+    onStateChange(callback) {
+        this.stateChangeCallbacks.push(callback);
+    }
+
+    setState(newState) {
+        const previousState = this.state;
+        this.state = newState;
+        logger.info(`Circuit ${this.name}: ${previousState} -> ${newState}`);
+
+        this.stateChangeCallbacks.forEach(callback => {
+            try {
+                callback(newState, previousState);
+            } catch (error) {
+                logger.error(`Error in circuit ${this.name} state change callback:`, error);
+            }
+        });
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CIRCUIT_STATES
+};
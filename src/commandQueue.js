@@ -0,0 +1,190 @@
+// Per-target Command Queue
+// Serializes player commands so they reach YTMD in press order, and merges bursts of
+// volume/seek presses into a single setVolume/seekTo with the final value
+const logger = require('./loggerwrapper.js');
+
+// How long a volume/seek press waits for more presses before it is sent
+const COALESCE_WINDOW_MS = 150;
+
+// Volume change per volume up/down press (YTMD volume is 0-100)
+const VOLUME_STEP = 10;
+
+// Commands whose pending entries are replaced by newer ones instead of being sent twice
+const MERGEABLE_METHODS = ['setVolume', 'seekTo'];
+
+// How long a sent volume stays the base of the next press, until the player state reports it
+const SENT_VOLUME_TTL_MS = 1000;
+
+class CommandQueue {
+    /**
+     * @param {YouTubeMusicApi} api - API client the commands are sent through
+     * @param {Function} getState - Returns the target's current playback state (volume and duration)
+     * @param {string} name - Label used in logs
+     * @param {Function} getProgress - Returns the current position in seconds, e.g. from the progress clock
+     *                                 (defaults to the state's progress)
+     */
+    constructor(api, getState, name = 'commands', getProgress = () => getState()?.progress) {
+        this.api = api;
+        this.getState = getState;
+        this.getProgress = getProgress;
+        this.name = name;
+        this.pending = [];
+        this.processing = false;
+        this.flushTimer = null;
+        this.inFlight = null; // Entry being sent
+        this.lastSent = new Map(); // method -> { value, sentAt } of the last command that was sent
+    }
+
+    /**
+     * Queue an API method call (e.g. 'playPause', 'setRepeatMode')
+     * Resolves with the method's result once the command was sent
+     */
+    enqueue(method, ...args) {
+        return new Promise((resolve, reject) => {
+            const tail = this.pending[this.pending.length - 1];
+
+            if (tail && MERGEABLE_METHODS.includes(method) && tail.method === method) {
+                // Only the newest value matters, every merged press resolves with the same result
+                tail.args = args;
+                tail.merged++;
+                tail.callbacks.push({ resolve, reject });
+                logger.debug(`[${this.name}] Merged ${method}(${args.join(', ')}) into pending command (${tail.merged} presses, depth ${this.pending.length})`);
+                return;
+            }
+
+            this.pending.push({
+                method,
+                args,
+                merged: 1,
+                enqueuedAt: Date.now(),
+                callbacks: [{ resolve, reject }]
+            });
+            logger.debug(`[${this.name}] Queued ${method}(${args.join(', ')}) (depth ${this.pending.length})`);
+
+            this.scheduleFlush(MERGEABLE_METHODS.includes(method) ? COALESCE_WINDOW_MS : 0);
+        });
+    }
+
+    /**
+     * Change the volume relative to the newest known value: queued, being sent, just sent or player state
+     * Resolves with the volume this press asked for
+     */
+    adjustVolume(delta) {
+        const base = this.getNewestValue('setVolume', SENT_VOLUME_TTL_MS) ?? this.getState()?.volume ?? 50;
+        const volume = Math.max(0, Math.min(100, Math.round(base + delta)));
+        return this.enqueue('setVolume', volume).then(() => volume);
+    }
+
+    setVolume(volume) {
+        return this.enqueue('setVolume', Math.max(0, Math.min(100, Math.round(volume))));
+    }
+
+    /**
+     * Seek relative to the newest known position: queued, being sent or the current position
+     * A sent seek is not reused, once the press resolved the position moves on from it
+     * Resolves with the position this press asked for
+     */
+    seekBy(seconds) {
+        const base = this.getNewestValue('seekTo') ?? this.getProgress() ?? 0;
+        let position = Math.max(0, base + seconds);
+
+        const duration = this.getState()?.duration;
+        if (duration > 0) {
+            position = Math.min(position, duration);
+        }
+        return this.enqueue('seekTo', position).then(() => position);
+    }
+
+    seekTo(position) {
+        return this.enqueue('seekTo', Math.max(0, position));
+    }
+
+    /**
+     * Value of the newest command of the given method: queued, being sent, or sent at most
+     * sentMaxAgeMs ago. undefined if there is none
+     */
+    getNewestValue(method, sentMaxAgeMs = 0) {
+        const queued = this.pending.filter(entry => entry.method === method).pop();
+        if (queued) {
+            return queued.args[0];
+        }
+        if (this.inFlight?.method === method) {
+            return this.inFlight.args[0];
+        }
+
+        const sent = this.lastSent.get(method);
+        return sent && Date.now() - sent.sentAt <= sentMaxAgeMs ? sent.value : undefined;
+    }
+
+    /**
+     * Number of queued commands not yet sent
+     */
+    getDepth() {
+        return this.pending.length;
+    }
+
+    scheduleFlush(delayMs) {
+        if (this.processing) return;
+
+        if (this.flushTimer) {
+            // Non-mergeable commands should not wait behind a coalescing window
+            if (delayMs > 0) return;
+            clearTimeout(this.flushTimer);
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, delayMs);
+    }
+
+    /**
+     * Send pending commands one at a time, in order
+     */
+    async flush() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            while (this.pending.length > 0) {
+                const entry = this.pending.shift();
+                const startedAt = Date.now();
+                this.inFlight = entry;
+
+                try {
+                    const result = await this.api[entry.method](...entry.args);
+                    this.lastSent.set(entry.method, { value: entry.args[0], sentAt: Date.now() });
+                    logger.debug(`[${this.name}] Sent ${entry.method}(${entry.args.join(', ')}) for ${entry.merged} press(es): waited ${startedAt - entry.enqueuedAt}ms, took ${Date.now() - startedAt}ms, depth ${this.pending.length}`);
+                    entry.callbacks.forEach(({ resolve }) => resolve(result));
+                } catch (error) {
+                    logger.debug(`[${this.name}] ${entry.method} failed after ${Date.now() - entry.enqueuedAt}ms: ${error.message}`);
+                    entry.callbacks.forEach(({ reject }) => reject(error));
+                } finally {
+                    this.inFlight = null;
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Reject all pending commands (e.g. when the target is removed)
+     */
+    clear(reason = 'Command queue cleared') {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        const error = new Error(reason);
+        this.pending.splice(0).forEach(entry => {
+            entry.callbacks.forEach(({ reject }) => reject(error));
+        });
+    }
+}
+
+module.exports = {
+    CommandQueue,
+    VOLUME_STEP
+};
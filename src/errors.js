@@ -0,0 +1,122 @@
+// YouTube Music Companion Server Errors
+// Typed errors thrown by ytMusicApi.js so callers can react by type instead of matching messages
+
+/**
+ * Base class for all Companion Server errors
+ * statusCode is the HTTP status (null if the server was not reached),
+ * retryable tells whether repeating the same request later may succeed
+ */
+class YouTubeMusicError extends Error {
+    constructor(message, { statusCode = null, retryable = false, cause = undefined } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Missing, invalid or revoked token (401/403)
+ */
+class AuthError extends YouTubeMusicError {
+    constructor(message = 'Not authenticated with YouTube Music Companion Server', options = {}) {
+        super(message, { retryable: false, ...options });
+    }
+}
+
+/**
+ * Server not reachable: network error, 5xx or circuit breaker open
+ */
+class ServerUnreachableError extends YouTubeMusicError {
+    constructor(message = 'YouTube Music Companion Server unreachable', options = {}) {
+        super(message, { retryable: true, ...options });
+    }
+}
+
+/**
+ * Too many requests (429), retryAfterMs says when to try again
+ */
+class RateLimitedError extends YouTubeMusicError {
+    constructor(message = 'Rate limit exceeded', { retryAfterMs = 1000, ...options } = {}) {
+        super(message, { statusCode: 429, retryable: true, ...options });
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Server answered but refused the request (other 4xx, e.g. invalid command data)
+ */
+class CommandRejectedError extends YouTubeMusicError {
+    constructor(message = 'Command rejected by YouTube Music Companion Server', options = {}) {
+        super(message, { retryable: false, ...options });
+    }
+}
+
+/**
+ * Command the connected YTMD version does not support (checked against /metadata before sending)
+ */
+class UnsupportedCommandError extends CommandRejectedError {
+    constructor(command, options = {}) {
+        super(`Command ${command} is not supported by this YouTube Music Desktop App version`, options);
+        this.command = command;
+    }
+}
+
+/**
+ * No answer within the request timeout
+ */
+class TimeoutError extends YouTubeMusicError {
+    constructor(message = 'Request timed out', options = {}) {
+        super(message, { retryable: true, ...options });
+    }
+}
+
+/**
+ * Get the retry delay of a 429 response from its headers or body ("retry in N seconds")
+ */
+function parseRetryAfterMs(headers, body = '') {
+    const retryAfter = headers?.get?.('retry-after');
+    if (retryAfter && !isNaN(parseInt(retryAfter, 10))) {
+        return parseInt(retryAfter, 10) * 1000;
+    }
+
+    const match = String(body).match(/retry in (\d+) seconds/);
+    return match ? parseInt(match[1], 10) * 1000 : 1000;
+}
+
+/**
+ * Create the typed error for a non-OK HTTP response
+ */
+function createHttpError(message, response, body = '') {
+    const statusCode = response.status;
+
+    if (statusCode === 401 || statusCode === 403) {
+        return new AuthError(message, { statusCode });
+    }
+    if (statusCode === 429) {
+        return new RateLimitedError(message, { retryAfterMs: parseRetryAfterMs(response.headers, body) });
+    }
+    if (statusCode >= 500) {
+        return new ServerUnreachableError(message, { statusCode });
+    }
+    return new CommandRejectedError(message, { statusCode });
+}
+
+/**
+ * Whether the error means the server could not be reached (counts against the circuit breaker)
+ */
+function isServerFailure(error) {
+    return error instanceof ServerUnreachableError || error instanceof TimeoutError;
+}
+
+module.exports = {
+    YouTubeMusicError,
+    AuthError,
+    ServerUnreachableError,
+    RateLimitedError,
+    CommandRejectedError,
+    UnsupportedCommandError,
+    TimeoutError,
+    createHttpError,
+    isServerFailure
+};
@@ -0,0 +1,136 @@
+// Fonts
+// Text fonts of the rendered keys. TTF/OTF files in resources/fonts are registered with skia-canvas's
+// FontLibrary in every render thread. Now playing keys choose family, weight and style for the title,
+// artist and time text; everything else uses the global family from the plugin config.
+const fs = require('fs');
+const path = require('path');
+const { FontLibrary } = require('skia-canvas');
+const logger = require('./loggerwrapper.js');
+const { getFallbackFontFamilies } = require('./textLayout.js');
+
+const DEFAULT_FONT_FAMILY = 'sans-serif';
+const GENERIC_FONT_FAMILIES = ['sans-serif', 'serif', 'monospace'];
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc'];
+const FONT_WEIGHTS = ['normal', 'bold', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+const FONT_STYLES = ['normal', 'italic'];
+
+// Text roles of the now playing key and their weight and style when the key sets none
+const DEFAULT_TEXT_FONTS = {
+    title: { weight: 'bold', style: 'normal' },
+    artist: { weight: 'normal', style: 'normal' },
+    time: { weight: 'normal', style: 'normal' }
+};
+
+// Font files registered in this thread and the families they added
+const registeredFiles = new Map();
+
+// Global family, set from the plugin config (main thread only, renders get the fonts with each job)
+let globalFontFamily = DEFAULT_FONT_FAMILY;
+
+/**
+ * Register font files in dir not registered yet, returns the families of all registered files
+ * The main thread and every render worker call this, so each thread knows the same fonts
+ */
+function registerFontFiles(dir) {
+    let files = [];
+    try {
+        files = fs.readdirSync(dir).filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Fonts could not be read from ${dir}: ${error.message}`);
+        }
+    }
+
+    files.map(file => path.join(dir, file)).filter(file => !registeredFiles.has(file)).forEach(file => {
+        try {
+            const fonts = FontLibrary.use([file]);
+            const families = Array.from(new Set((fonts || []).map(font => font.family)));
+            registeredFiles.set(file, families);
+            logger.info(`Registered font ${path.basename(file)}: ${families.join(', ')}`);
+        } catch (error) {
+            registeredFiles.set(file, []);
+            logger.warn(`Font ${path.basename(file)} could not be registered: ${error.message}`);
+        }
+    });
+
+    return getCustomFontFamilies();
+}
+
+function getCustomFontFamilies() {
+    return Array.from(new Set(Array.from(registeredFiles.values()).flat())).sort();
+}
+
+/**
+ * Families for the settings pages: { custom (from the fonts folder), system (installed, generic first) }
+ */
+function listFontFamilies() {
+    const custom = getCustomFontFamilies();
+    let installed = [];
+    try {
+        installed = FontLibrary.families || [];
+    } catch (error) {
+        logger.warn(`Installed fonts could not be listed: ${error.message}`);
+    }
+    const system = [...GENERIC_FONT_FAMILIES, ...installed.filter(family => !custom.includes(family)).sort()];
+    return { custom, system: Array.from(new Set(system)) };
+}
+
+function setGlobalFontFamily(family) {
+    globalFontFamily = typeof family === 'string' && family.trim() ? family.trim() : DEFAULT_FONT_FAMILY;
+    return globalFontFamily;
+}
+
+function getGlobalFontFamily() {
+    return globalFontFamily;
+}
+
+/**
+ * Fonts of the title, artist and time text from key data (titleFontFamily, titleFontWeight,
+ * titleFontStyle, ...), an empty family is the global family
+ */
+function getTextFonts(data = {}) {
+    const fonts = {};
+    Object.entries(DEFAULT_TEXT_FONTS).forEach(([role, defaults]) => {
+        const family = data?.[`${role}FontFamily`];
+        const weight = String(data?.[`${role}FontWeight`] || '');
+        const style = data?.[`${role}FontStyle`];
+        fonts[role] = {
+            family: typeof family === 'string' && family.trim() ? family.trim() : globalFontFamily,
+            weight: FONT_WEIGHTS.includes(weight) ? weight : defaults.weight,
+            style: FONT_STYLES.includes(style) ? style : defaults.style
+        };
+    });
+    return fonts;
+}
+
+/**
+ * CSS font string for ctx.font, e.g. 'italic bold 18px "Inter", sans-serif'
+ * Families that aren't available fall back to sans-serif. With the text to draw, CJK and emoji
+ * fallback families (see textLayout.js) follow the key's family for the glyphs it lacks. A generic
+ * family matches any text, so it always comes last, after the fallbacks:
+ *   'bold 18px "Inter", "Hiragino Sans", ..., sans-serif'  for 'YOASOBI - アイドル' in Inter
+ *   '18px "Hiragino Sans", ..., serif'                      for the same title in serif
+ */
+function getFontString(font = {}, size = 14, text = '') {
+    const family = font.family || DEFAULT_FONT_FAMILY;
+    const isGeneric = GENERIC_FONT_FAMILIES.includes(family);
+    const families = [...(isGeneric ? [] : [family]), ...getFallbackFontFamilies(text)]
+        .map(name => `"${name.replace(/"/g, '')}"`);
+    families.push(isGeneric ? family : DEFAULT_FONT_FAMILY);
+    const style = font.style && font.style !== 'normal' ? `${font.style} ` : '';
+    const weight = font.weight && font.weight !== 'normal' ? `${font.weight} ` : '';
+    return `${style}${weight}${size}px ${families.join(', ')}`;
+}
+
+module.exports = {
+    DEFAULT_FONT_FAMILY,
+    DEFAULT_TEXT_FONTS,
+    FONT_WEIGHTS,
+    FONT_STYLES,
+    registerFontFiles,
+    listFontFamilies,
+    setGlobalFontFamily,
+    getGlobalFontFamily,
+    getTextFonts,
+    getFontString
+};
@@ -0,0 +1,141 @@
+// Icon Packs
+// SVG or PNG icons for the control keys, one folder per pack in resources/icons with one file per
+// key state (e.g. icons/outline/liked.svg, icons/outline/repeat-one.png). States a pack has no file
+// for, and keys using the built-in pack, keep the built-in drawings.
+const fs = require('fs');
+const path = require('path');
+const { loadImage } = require('skia-canvas');
+const logger = require('./loggerwrapper.js');
+
+const BUILTIN_ICON_PACK = 'builtin';
+const ICON_EXTENSIONS = ['.svg', '.png']; // Preferred in this order when a pack has both
+
+// Icon file names (without extension) a pack can provide, one per control key state
+const ICON_NAMES = [
+    'play', 'pause',
+    'liked', 'unliked',
+    'disliked', 'undisliked',
+    'previous', 'next',
+    'shuffle-on', 'shuffle-off',
+    'repeat-off', 'repeat-all', 'repeat-one',
+    'muted', 'unmuted',
+    'seek-forward', 'seek-backward',
+    'volume-up', 'volume-down'
+];
+
+class IconPackRegistry {
+    constructor() {
+        this.packs = new Map(); // id -> { id, name, icons: { iconName: { path, version } } }
+        this.globalPack = BUILTIN_ICON_PACK;
+    }
+
+    /**
+     * Find the packs in dir, a pack folder may contain pack.json with a display name: { "name": "Outline" }
+     */
+    async scan(dir) {
+        const packs = new Map();
+        let entries = [];
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Icon packs could not be read from ${dir}: ${error.message}`);
+            }
+        }
+
+        for (const entry of entries.filter(entry => entry.isDirectory() && entry.name !== BUILTIN_ICON_PACK)) {
+            const packDir = path.join(dir, entry.name);
+            try {
+                packs.set(entry.name, await this.loadPack(entry.name, packDir));
+            } catch (error) {
+                logger.warn(`Icon pack ${entry.name} skipped: ${error.message}`);
+            }
+        }
+
+        this.packs = packs;
+        logger.info(`Found ${packs.size} icon pack(s)${packs.size ? `: ${Array.from(packs.keys()).join(', ')}` : ''}`);
+        return this.list();
+    }
+
+    async loadPack(id, packDir) {
+        const files = await fs.promises.readdir(packDir);
+        const icons = {};
+        for (const iconName of ICON_NAMES) {
+            const file = ICON_EXTENSIONS.map(extension => `${iconName}${extension}`).find(name => files.includes(name));
+            if (!file) continue;
+            const filePath = path.join(packDir, file);
+            const { mtimeMs } = await fs.promises.stat(filePath);
+            icons[iconName] = { path: filePath, version: mtimeMs };
+        }
+
+        let name = id;
+        if (files.includes('pack.json')) {
+            const info = JSON.parse(await fs.promises.readFile(path.join(packDir, 'pack.json'), 'utf8'));
+            name = info.name || id;
+        }
+
+        return { id, name, icons };
+    }
+
+    /**
+     * Pack used by keys without their own, unknown packs fall back to the built-in drawings
+     */
+    setGlobalPack(id) {
+        this.globalPack = id || BUILTIN_ICON_PACK;
+        return this.globalPack;
+    }
+
+    /**
+     * Pack of a key: its own iconPack setting, or the global pack when empty
+     */
+    getPackId(key) {
+        return key?.data?.iconPack || this.globalPack;
+    }
+
+    /**
+     * Icon file of a key state: { path, version }, null to draw the built-in icon
+     */
+    getIcon(key, iconName) {
+        return this.packs.get(this.getPackId(key))?.icons[iconName] || null;
+    }
+
+    /**
+     * Packs for the settings pages, the built-in pack first
+     */
+    list() {
+        return [
+            { id: BUILTIN_ICON_PACK, name: 'Built-in', icons: ICON_NAMES },
+            ...Array.from(this.packs.values()).map(({ id, name, icons }) => ({ id, name, icons: Object.keys(icons) }))
+        ];
+    }
+}
+
+// Decoded icons by file and version, shared by all renders in this thread (packs are small)
+const iconImages = new Map();
+
+/**
+ * Decoded image of an icon from getIcon, null if there is none or it can't be loaded
+ */
+function loadIconImage(icon) {
+    if (!icon?.path) return Promise.resolve(null);
+
+    const cacheKey = `${icon.path}:${icon.version}`;
+    if (!iconImages.has(cacheKey)) {
+        iconImages.set(cacheKey, loadImage(icon.path).catch(error => {
+            logger.warn(`Icon ${icon.path} could not be loaded, using the built-in icon: ${error.message}`);
+            return null;
+        }));
+    }
+    return iconImages.get(cacheKey);
+}
+
+// Shared registry, used on the main thread (renders get the icon file with each job)
+const iconPacks = new IconPackRegistry();
+
+module.exports = {
+    BUILTIN_ICON_PACK,
+    ICON_NAMES,
+    IconPackRegistry,
+    iconPacks,
+    loadIconImage
+};
@@ -0,0 +1,97 @@
+// Key State Dependencies
+// Which playback state values each key type draws, so a state change only redraws the keys
+// that show it instead of every active key (less rendering and less USB traffic)
+const { getTemplateDependencies } = require('./textTemplates.js');
+const { getGlobalTheme, ALBUM_ART_THEME } = require('./themes.js');
+
+// Values a key can depend on, computed from the playback store state
+const STATE_DEPENDENCIES = {
+    track: state => {
+        const track = state.currentTrack;
+        return track ? `${track.videoId}|${track.title}|${track.artist}|${track.album}` : null;
+    },
+    videoId: state => state.currentTrack?.videoId || null,
+    isPlaying: state => state.isPlaying,
+    progress: state => state.progress,
+    duration: state => state.duration,
+    volume: state => state.volume,
+    isMuted: state => state.isMuted,
+    likeStatus: state => state.likeStatus,
+    repeatMode: state => state.repeatMode,
+    queue: state => {
+        const queue = state.currentTrack?.queue;
+        return queue ? `${queue.selectedItemIndex}/${queue.items?.length}` : null;
+    }
+};
+
+// Dependencies per key type, an empty list means the key looks the same whatever plays
+// Overlays (approval code, re-auth, offline, unsupported) redraw all keys on their own
+const KEY_DEPENDENCIES = {
+    'at.mrcode.ytmd.nowplaying': ['track', 'isPlaying', 'progress', 'duration'],
+    'at.mrcode.ytmd.like': ['videoId', 'likeStatus'],
+    'at.mrcode.ytmd.dislike': ['videoId', 'likeStatus'],
+    'at.mrcode.ytmd.playpause': ['isPlaying'],
+    'at.mrcode.ytmd.previous': [],
+    'at.mrcode.ytmd.next': [],
+    'at.mrcode.ytmd.mutetoggle': ['isMuted'],
+    'at.mrcode.ytmd.shuffle': [],
+    'at.mrcode.ytmd.repeat': ['repeatMode'],
+    'at.mrcode.ytmd.seekforward': [],
+    'at.mrcode.ytmd.seekbackward': [],
+    'at.mrcode.ytmd.seekslider': ['progress', 'duration'],
+    'at.mrcode.ytmd.playbyid': [],
+    'at.mrcode.ytmd.volumeup': [],
+    'at.mrcode.ytmd.volumedown': [],
+    'at.mrcode.ytmd.volumeslider': ['volume'],
+    'at.mrcode.ytmd.connection': [] // Redrawn by its own 1s timer
+};
+
+/**
+ * Names of the dependencies whose value differs between two states
+ */
+function getChangedDependencies(state, previousState) {
+    if (!previousState) {
+        return Object.keys(STATE_DEPENDENCIES);
+    }
+    return Object.keys(STATE_DEPENDENCIES).filter(name =>
+        !Object.is(STATE_DEPENDENCIES[name](state), STATE_DEPENDENCIES[name](previousState))
+    );
+}
+
+// Rendered key types that take their colors from the album art theme
+const THEMED_KEYS = ['at.mrcode.ytmd.like', 'at.mrcode.ytmd.dislike', 'at.mrcode.ytmd.playpause'];
+
+/**
+ * Dependencies of a key: its type's, plus the fields its text templates show (now playing)
+ * and the track for themed keys while the album art theme is active
+ * null for key types without a declaration
+ */
+function getKeyDependencies(key) {
+    const dependencies = KEY_DEPENDENCIES[key.cid];
+    if (!dependencies) return null;
+    if (key.cid === 'at.mrcode.ytmd.nowplaying') {
+        return [...dependencies, ...getTemplateDependencies([key.data?.titleTemplate, key.data?.artistTemplate])];
+    }
+    if (THEMED_KEYS.includes(key.cid) && getGlobalTheme() === ALBUM_ART_THEME) {
+        return [...dependencies, 'videoId'];
+    }
+    return dependencies;
+}
+
+/**
+ * Whether a key has to be redrawn for the changed dependencies
+ * Key types without a declaration are always redrawn
+ */
+function shouldRedrawKey(key, changedDependencies) {
+    const dependencies = getKeyDependencies(key);
+    if (!dependencies) return true;
+    return dependencies.some(name => changedDependencies.includes(name));
+}
+
+module.exports = {
+    STATE_DEPENDENCIES,
+    KEY_DEPENDENCIES,
+    getChangedDependencies,
+    getKeyDependencies,
+    shouldRedrawKey
+};
@@ -3,11 +3,11 @@ const keyHandlerInit = require('./keyHandlerInit.js');
 const keyHandlerUpdate = require('./keyHandlerUpdate.js');
 const keyHandlerInteraction = require('./keyHandlerInteraction.js');
 
-// Initialize all modules with plugin instances
-function initializeAllModules(authInstance, apiInstance, stateInstance, errorNotificationFn, authErrorFn) {
-    keyHandlerInit.initializeModule(authInstance, apiInstance, stateInstance, errorNotificationFn, authErrorFn);
-    keyHandlerUpdate.initializeModule(authInstance, apiInstance, stateInstance, errorNotificationFn, authErrorFn);
-    keyHandlerInteraction.initializeModule(authInstance, apiInstance, stateInstance, errorNotificationFn, authErrorFn);
+// Initialize all modules with the player target manager from plugin.js
+function initializeAllModules(targetManager, notificationFn, keyErrorFn) {
+    keyHandlerInit.initializeModule(targetManager, notificationFn, keyErrorFn);
+    keyHandlerUpdate.initializeModule(targetManager, notificationFn, keyErrorFn);
+    keyHandlerInteraction.initializeModule(targetManager, notificationFn, keyErrorFn);
 }
 
 module.exports = {
@@ -1,40 +1,31 @@
 ﻿// Key initialization functions for FlexBar plugin
-const { updateNowPlayingKeyDisplay, updateLikeKeyDisplay, updateDislikeKeyDisplay, updatePlayPauseKeyDisplay, updatePreviousKeyDisplay, updateNextKeyDisplay, updateMuteToggleKeyDisplay, updateShuffleKeyDisplay, updateRepeatKeyDisplay, updateSeekForwardKeyDisplay, updateSeekBackwardKeyDisplay, updateSeekSliderKeyDisplay, updatePlayByIdKeyDisplay, updateVolumeUpKeyDisplay, updateVolumeDownKeyDisplay, updateVolumeSliderKeyDisplay } = require('./keyHandlerUpdate.js');
+const { getKeyTheme, updateNowPlayingKeyDisplay, updateLikeKeyDisplay, updateDislikeKeyDisplay, updatePlayPauseKeyDisplay, updatePreviousKeyDisplay, updateNextKeyDisplay, updateMuteToggleKeyDisplay, updateShuffleKeyDisplay, updateRepeatKeyDisplay, updateSeekForwardKeyDisplay, updateSeekBackwardKeyDisplay, updateSeekSliderKeyDisplay, updatePlayByIdKeyDisplay, updateVolumeUpKeyDisplay, updateVolumeDownKeyDisplay, updateVolumeSliderKeyDisplay, updateConnectionKeyDisplay } = require('./keyHandlerUpdate.js');
 const keyManager = require('./keyManager.js');
 const logger = require('./loggerwrapper.js');
-const renderer = require('./canvasRenderer.js');
+const { renderPool, RenderCancelledError } = require('./renderPool.js');
+const { DEFAULT_TARGET_ID } = require('./targetConfig.js');
+const { AuthError } = require('./errors.js');
+const { STATE_SOURCES } = require('./playbackStore.js');
+const { DEFAULT_MARQUEE_OPTIONS } = require('./marquee.js');
+const { DEFAULT_TEMPLATES } = require('./textTemplates.js');
+const { DEFAULT_TEXT_FONTS, getTextFonts } = require('./fonts.js');
+const { getStyleBgColor } = require('./themes.js');
 
 // Module-level references to instances passed from plugin.js
-let ytMusicAuth = null;
-let ytMusicApi = null;
-let currentPlaybackState = null;
-let showErrorNotification = null;
-let showAuthError = null;
+let playerTargets = null;
+let showNotification = null;
+let notifyKeyError = null;
 
 // Initialize the module with instances from plugin.js
-function initializeModule(authInstance, apiInstance, stateInstance, errorNotificationFn, authErrorFn) {
-    ytMusicAuth = authInstance;
-    ytMusicApi = apiInstance;
-    currentPlaybackState = stateInstance;
-    showErrorNotification = errorNotificationFn;
-    showAuthError = authErrorFn;
-}
-
-// Helper function to update currentPlaybackState from trackData
-function updateCurrentPlaybackStateFromTrack(trackData) {
-    if (!trackData || !currentPlaybackState) return;
-    
-    currentPlaybackState.currentTrack = trackData;
-    currentPlaybackState.isPlaying = trackData.isPlaying || false;
-    currentPlaybackState.progress = trackData.progress || 0;
-    currentPlaybackState.duration = trackData.duration || 0;
-    currentPlaybackState.volume = trackData.volume || currentPlaybackState.volume;
-    currentPlaybackState.likeStatus = trackData.isLiked;
-    currentPlaybackState.lastUpdate = Date.now();
+function initializeModule(targetManager, notificationFn, keyErrorFn) {
+    playerTargets = targetManager;
+    showNotification = notificationFn;
+    notifyKeyError = keyErrorFn;
 }
 
 async function initializeNowPlayingKey(serialNumber, key) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     const keyUid = key.uid;
 
     logger.info('Initializing now playing key:', keyId);
@@ -43,7 +34,10 @@ async function initializeNowPlayingKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
             updateInterval: key.data?.updateInterval || 5000,
+            enableInterpolation: key.data?.enableInterpolation !== false,
+            interpolationIntervalMs: key.data?.interpolationIntervalMs || 1000,
             showArtist: key.data?.showArtist !== undefined ? key.data.showArtist : true,
             showProgress: key.data?.showProgress !== undefined ? key.data.showProgress : true,
             showTimeInfo: key.data?.showTimeInfo !== undefined ? key.data.showTimeInfo : true,
@@ -51,8 +45,24 @@ async function initializeNowPlayingKey(serialNumber, key) {
             titleFontSize: key.data?.titleFontSize || 18,
             artistFontSize: key.data?.artistFontSize || 14,
             timeFontSize: key.data?.timeFontSize || 10,
-            progressBarColor: key.data?.progressBarColor || '#FF0000',
-            currentTrack: currentPlaybackState.currentTrack || null,
+            titleFontFamily: key.data?.titleFontFamily || '',
+            titleFontWeight: key.data?.titleFontWeight || DEFAULT_TEXT_FONTS.title.weight,
+            titleFontStyle: key.data?.titleFontStyle || DEFAULT_TEXT_FONTS.title.style,
+            artistFontFamily: key.data?.artistFontFamily || '',
+            artistFontWeight: key.data?.artistFontWeight || DEFAULT_TEXT_FONTS.artist.weight,
+            artistFontStyle: key.data?.artistFontStyle || DEFAULT_TEXT_FONTS.artist.style,
+            timeFontFamily: key.data?.timeFontFamily || '',
+            timeFontWeight: key.data?.timeFontWeight || DEFAULT_TEXT_FONTS.time.weight,
+            timeFontStyle: key.data?.timeFontStyle || DEFAULT_TEXT_FONTS.time.style,
+            progressBarColor: key.data?.progressBarColor || '',
+            layout: key.data?.layout || 'standard',
+            titleTemplate: key.data?.titleTemplate || DEFAULT_TEMPLATES.title,
+            artistTemplate: key.data?.artistTemplate || DEFAULT_TEMPLATES.artist,
+            marqueeEnabled: key.data?.marqueeEnabled === true,
+            marqueeSpeed: key.data?.marqueeSpeed || DEFAULT_MARQUEE_OPTIONS.speed,
+            marqueePauseMs: key.data?.marqueePauseMs ?? DEFAULT_MARQUEE_OPTIONS.pauseMs,
+            marqueeStyle: key.data?.marqueeStyle || DEFAULT_MARQUEE_OPTIONS.style,
+            currentTrack: target.state.currentTrack || null,
         }
     };
 
@@ -61,7 +71,7 @@ async function initializeNowPlayingKey(serialNumber, key) {
 
     // Create initial loading display
     try {
-        const loadingImage = await renderer.createYouTubeMusicButtonDataUrl(
+        const loadingImage = await renderPool.render(keyId, 'createYouTubeMusicButtonDataUrl',
             key.style?.width || 480,
             'Connecting...',
             'YouTube Music',
@@ -69,35 +79,43 @@ async function initializeNowPlayingKey(serialNumber, key) {
             null,
             0,
             0,
-            { progressBarColor: key.data?.progressBarColor || '#FF0000' },
-            true, true, true, 24, 18, false, 14
+            { progressBarColor: key.data?.progressBarColor },
+            true, true, true, 24, 18, false, 14,
+            {
+                layout: key.data?.layout || 'standard',
+                height: key.style?.height || 60,
+                theme: getKeyTheme(keyManager.keyData[keyUid]),
+                fonts: getTextFonts(key.data)
+            }
         );
         keyManager.simpleDraw(serialNumber, key, loadingImage);
     } catch (error) {
-        logger.error(`Failed loading image for ${keyId}: ${error.message}`);
-        keyManager.textOnlyDraw(serialNumber, key, 'Error');
-        showErrorNotification(serialNumber, 'Key init failed', 'error', 'warning');
+        // A cancelled loading image was replaced by the first real render, nothing to show
+        if (!(error instanceof RenderCancelledError)) {
+            logger.error(`Failed loading image for ${keyId}: ${error.message}`);
+            keyManager.textOnlyDraw(serialNumber, key, 'Error');
+            showNotification(serialNumber, 'Key init failed', 'error', 'warning');
+        }
     }
     
     // Immediately fetch current state if authenticated
-    if (ytMusicAuth.getAuthenticationStatus()) {
+    if (target.auth.getAuthenticationStatus()) {
         try {
             logger.debug('Fetching current state during now playing key initialization');
-            const state = await ytMusicApi.getCurrentState();
-            const trackData = ytMusicApi.formatTrackState(state);
+            const state = await target.api.getCurrentState();
+            const trackData = target.api.formatTrackState(state);
 
             if (trackData && trackData.title) {
-                // Update global state
-                updateCurrentPlaybackStateFromTrack(trackData);
+                target.store.setTrack(trackData, STATE_SOURCES.REST);
 
                 logger.info(`Found current track during initialization: ${trackData.title} by ${trackData.artist}`);
             }
         } catch (error) {
             logger.warn('Failed to fetch current state during initialization:', error.message);
-            if (error.message.includes('Not authenticated')) {
-                showAuthError(serialNumber, 'music control');
+            if (error instanceof AuthError) {
+                notifyKeyError(serialNumber, error, 'music control');
             } else {
-                showErrorNotification(serialNumber, 'Fetch state failed', 'warning', 'warning');
+                showNotification(serialNumber, 'Fetch state failed', 'warning', 'warning');
             }
         }
     }
@@ -116,9 +134,11 @@ async function initializeLikeKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
-            likedColor: key.data?.likedColor || '#FF0000',
-            unlikedColor: key.data?.unlikedColor || '#FFFFFF',
-            likeBgColor: key.data?.likeBgColor || '#424242',
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
+            likedColor: key.data?.likedColor || '',
+            unlikedColor: key.data?.unlikedColor || '',
+            likeBgColor: key.data?.likeBgColor || '',
             currentTrackId: null,
             isLiked: null
         }
@@ -141,9 +161,11 @@ async function initializeDislikeKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
-            dislikedColor: key.data?.dislikedColor || '#FF0000',
-            unlikedColor: key.data?.unlikedColor || '#FFFFFF',
-            dislikeBgColor: key.data?.dislikeBgColor || '#424242',
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
+            dislikedColor: key.data?.dislikedColor || '',
+            unlikedColor: key.data?.unlikedColor || '',
+            dislikeBgColor: key.data?.dislikeBgColor || '',
             currentTrackId: null,
             isLiked: null
         }
@@ -166,9 +188,11 @@ async function initializePlayPauseKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
-            playColor: key.data?.playColor || '#00FF00',
-            pauseColor: key.data?.pauseColor || '#FF6600',
-            bgColor: key.data?.bgColor || '#424242',
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
+            playColor: key.data?.playColor || '',
+            pauseColor: key.data?.pauseColor || '',
+            bgColor: key.data?.bgColor || '',
             isPlaying: false
         }
     };
@@ -190,7 +214,9 @@ async function initializePreviousKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
-            bgColor: key.data?.bgColor || '#424242'
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
+            bgColor: key.data?.bgColor || ''
         }
     };
 
@@ -211,7 +237,9 @@ async function initializeNextKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
-            bgColor: key.data?.bgColor || '#424242'
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
+            bgColor: key.data?.bgColor || ''
         }
     };
 
@@ -232,9 +260,11 @@ async function initializeMuteToggleKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
             states: key.data?.states || ['unmuted', 'muted'],
             currentState: 0, // 0 = unmuted, 1 = muted
-            bgColor: key.style?.multiStyle?.[0]?.bgColor || '#424242'
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -255,9 +285,11 @@ async function initializeShuffleKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
             states: key.data?.states || ['shuffle', 'notshuffle'],
             currentState: 0, // 0 = shuffle off, 1 = shuffle on
-            bgColor: key.style?.multiStyle?.[0]?.bgColor || '#424242'
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -278,9 +310,11 @@ async function initializeRepeatKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
             states: key.data?.states || ['no_repeat', 'repeat_all', 'repeat_one'],
             currentState: 0, // 0 = no repeat, 1 = repeat all, 2 = repeat one
-            bgColor: key.style?.multiStyle?.[0]?.bgColor || '#424242'
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -301,8 +335,10 @@ async function initializeSeekForwardKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
             seconds: key.data?.seconds || 10,
-            bgColor: key.style?.bgColor || '#424242'
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -323,8 +359,10 @@ async function initializeSeekBackwardKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
             seconds: key.data?.seconds || 10,
-            bgColor: key.style?.bgColor || '#424242'
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -345,10 +383,12 @@ async function initializeSeekSliderKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
             duration: key.data?.duration || 600,
             currentPosition: 0,
-            bgColor: key.style?.bgColor || '#424242',
-            sliderColor: key.style?.slider?.color || '#FF0000'
+            enableInterpolation: key.data?.enableInterpolation !== false,
+            interpolationIntervalMs: key.data?.interpolationIntervalMs || 1000,
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -369,9 +409,10 @@ async function initializePlayByIdKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
             videoID: key.data?.videoID || '',
             playlistID: key.data?.playlistID || '',
-            bgColor: key.style?.bgColor || '#424242'
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -392,7 +433,9 @@ async function initializeVolumeUpKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
-            bgColor: key.data?.bgColor || '#424242'
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
+            bgColor: key.data?.bgColor || ''
         }
     };
 
@@ -413,7 +456,9 @@ async function initializeVolumeDownKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
-            bgColor: key.data?.bgColor || '#424242'
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            iconPack: key.data?.iconPack || '',
+            bgColor: key.data?.bgColor || ''
         }
     };
 
@@ -434,11 +479,11 @@ async function initializeVolumeSliderKey(serialNumber, key) {
     keyManager.keyData[keyUid] = {
         ...key,
         data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
             currentVolume: key.data?.currentVolume || 50,
             minValue: key.style?.slider?.min || 0,
             maxValue: key.style?.slider?.max || 100,
-            bgColor: key.style?.bgColor || '#424242',
-            sliderColor: key.style?.slider?.color || '#00FF00'
+            bgColor: key.data?.bgColor ?? getStyleBgColor(key.style)
         }
     };
 
@@ -449,6 +494,36 @@ async function initializeVolumeSliderKey(serialNumber, key) {
     await updateVolumeSliderKeyDisplay(serialNumber, keyManager.keyData[keyUid]);
 }
 
+async function initializeConnectionKey(serialNumber, key) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    const keyUid = key.uid;
+
+    logger.info('Initializing connection key:', keyId);
+
+    // Store key data
+    keyManager.keyData[keyUid] = {
+        ...key,
+        data: {
+            targetId: key.data?.targetId || DEFAULT_TARGET_ID,
+            bgColor: key.data?.bgColor || ''
+        }
+    };
+
+    // Mark as active
+    keyManager.activeKeys[keyId] = true;
+
+    // Refresh every second so update age and retry countdown stay current
+    if (keyManager.keyIntervals[keyId]) {
+        clearInterval(keyManager.keyIntervals[keyId]);
+    }
+    keyManager.keyIntervals[keyId] = setInterval(() => {
+        updateConnectionKeyDisplay(serialNumber, keyManager.keyData[keyUid]);
+    }, 1000);
+
+    // Update display
+    await updateConnectionKeyDisplay(serialNumber, keyManager.keyData[keyUid]);
+}
+
 // Export all initialization functions
 module.exports = {
     initializeModule,
@@ -467,6 +542,7 @@ module.exports = {
     initializePlayByIdKey,
     initializeVolumeUpKey,
     initializeVolumeDownKey,
-    initializeVolumeSliderKey
+    initializeVolumeSliderKey,
+    initializeConnectionKey
 };
 
@@ -1,8 +1,11 @@
 ﻿// Key interaction handler functions for FlexBar plugin
 const keyManager = require('./keyManager.js');
 const logger = require('./loggerwrapper.js');
+const { VOLUME_STEP } = require('./commandQueue.js');
+const { AuthError, ServerUnreachableError } = require('./errors.js');
 const { plugin } = require('@eniac/flexdesigner');
 const { 
+    updateOfflineKeyDisplay,
     updateNowPlayingKeyDisplay,
     updateLikeKeyDisplay,
     updateDislikeKeyDisplay,
@@ -13,38 +16,54 @@ const {
     updateSeekSliderKeyDisplay,
     updateVolumeUpKeyDisplay,
     updateVolumeDownKeyDisplay,
-    updateVolumeSliderKeyDisplay
+    updateVolumeSliderKeyDisplay,
+    updateConnectionKeyDisplay
 } = require('./keyHandlerUpdate.js');
 
 // Module-level references to instances passed from plugin.js
-let ytMusicAuth = null;
-let ytMusicApi = null;
-let currentPlaybackState = null;
-let showErrorNotification = null;
-let showAuthError = null;
+let playerTargets = null;
+let showNotification = null;
+let notifyKeyError = null;
 
 // Initialize the module with instances from plugin.js
-function initializeModule(authInstance, apiInstance, stateInstance, errorNotificationFn, authErrorFn) {
-    ytMusicAuth = authInstance;
-    ytMusicApi = apiInstance;
-    currentPlaybackState = stateInstance;
-    showErrorNotification = errorNotificationFn;
-    showAuthError = authErrorFn;
+function initializeModule(targetManager, notificationFn, keyErrorFn) {
+    playerTargets = targetManager;
+    showNotification = notificationFn;
+    notifyKeyError = keyErrorFn;
+}
+
+// Whether a plugin.data event is a long press (FlexDesigner reports it in the event name)
+function isLongPress(data) {
+    const evt = String(data?.evt || data?.event || '').toLowerCase();
+    return evt === 'longpress' || evt === 'long-press' || data?.longPress === true;
+}
+
+// React to a failed key action by error type: the key gets the offline overlay while its target's
+// circuit is open (a single failed request doesn't mark the server offline, and the overlay goes away
+// with the redraw of all keys when the circuit closes). notifyKeyError tells the user and starts
+// re-authentication for an AuthError
+function handleKeyError(serialNumber, key, error, action) {
+    const target = playerTargets.getTargetForKey(key);
+    if (error instanceof ServerUnreachableError && target.api.isOffline()) {
+        updateOfflineKeyDisplay(serialNumber, key);
+    }
+    notifyKeyError(serialNumber, error, action, target);
 }
 
 async function handleNowPlayingInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling now playing interaction for key ${keyId}`);
 
     // For now, just toggle play/pause on click
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.playPause();
+        await target.commands.enqueue('playPause');
         logger.info('Play/pause toggled via now playing key');
-        showErrorNotification(serialNumber, 'Play/pause toggled', 'info', 'play');
+        showNotification(serialNumber, 'Play/pause toggled', 'info', 'play');
 
         // Update display after short delay
         setTimeout(() => {
@@ -52,25 +71,22 @@ async function handleNowPlayingInteraction(serialNumber, key, data) {
         }, 500);
     } catch (error) {
         logger.error(`Error handling now playing interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'play/pause');
-        } else {
-            showErrorNotification(serialNumber, `Play/pause failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'play/pause');
     }
 }
 
 async function handleLikeInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling like interaction for key ${keyId}`);
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.toggleLike();
+        await target.commands.enqueue('toggleLike');
         logger.info('Like status toggled');
-        showErrorNotification(serialNumber, 'Like toggled', 'info', 'ok');
+        showNotification(serialNumber, 'Like toggled', 'info', 'ok');
 
         // Update display after short delay
         setTimeout(() => {
@@ -78,25 +94,22 @@ async function handleLikeInteraction(serialNumber, key, data) {
         }, 500);
     } catch (error) {
         logger.error(`Error handling like interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'like');
-        } else {
-            showErrorNotification(serialNumber, `Like failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'like');
     }
 }
 
 async function handleDislikeInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling dislike interaction for key ${keyId}`);
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.toggleDislike();
+        await target.commands.enqueue('toggleDislike');
         logger.info('Dislike status toggled');
-        showErrorNotification(serialNumber, 'Dislike toggled', 'info', 'ok');
+        showNotification(serialNumber, 'Dislike toggled', 'info', 'ok');
 
         // Update display after short delay
         setTimeout(() => {
@@ -104,25 +117,22 @@ async function handleDislikeInteraction(serialNumber, key, data) {
         }, 500);
     } catch (error) {
         logger.error(`Error handling dislike interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'dislike');
-        } else {
-            showErrorNotification(serialNumber, `Dislike failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'dislike');
     }
 }
 
 async function handlePlayPauseInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling play/pause interaction for key ${keyId}`);
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.playPause();
+        await target.commands.enqueue('playPause');
         logger.info('Play/pause toggled');
-        showErrorNotification(serialNumber, 'Play/pause toggled', 'info', 'play');
+        showNotification(serialNumber, 'Play/pause toggled', 'info', 'play');
 
         // Update display after short delay
         setTimeout(() => {
@@ -130,82 +140,75 @@ async function handlePlayPauseInteraction(serialNumber, key, data) {
         }, 500);
     } catch (error) {
         logger.error(`Error handling play/pause interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'play/pause');
-        } else {
-            showErrorNotification(serialNumber, `Play/pause failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'play/pause');
     }
 }
 
 async function handlePreviousKeyInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling previous interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.previous();
+        await target.commands.enqueue('previous');
         logger.info('Previous track requested');
-        showErrorNotification(serialNumber, 'Previous track requested', 'info', 'skip-backward');
+        showNotification(serialNumber, 'Previous track requested', 'info', 'skip-backward');
 
     } catch (error) {
         logger.error(`Error handling previous interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'previous track');
-        } else {
-            showErrorNotification(serialNumber, `Previous track failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'previous track');
     }
 }
 
 async function handleNextKeyInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling next interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.next();
+        await target.commands.enqueue('next');
         logger.info('Next track requested');
-        showErrorNotification(serialNumber, 'Next track requested', 'info', 'skip-forward');
+        showNotification(serialNumber, 'Next track requested', 'info', 'skip-forward');
 
     } catch (error) {
         logger.error(`Error handling next interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'next track');
-        } else {
-            showErrorNotification(serialNumber, `Next track failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'next track');
     }
 }
 
 async function handleMuteToggleInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling mute toggle interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
-        const isMuted = currentKeyData.data.currentState === 1;
+        const isMuted = target.state.isMuted ?? currentKeyData.data.currentState === 1;
 
         if (isMuted) {
-            await ytMusicApi.unmute();
+            await target.commands.enqueue('unmute');
             currentKeyData.data.currentState = 0;
+            target.store.setOptimistic({ isMuted: false });
             logger.info('Audio unmuted');
-            showErrorNotification(serialNumber, 'Audio unmuted', 'info', 'volume-high');
+            showNotification(serialNumber, 'Audio unmuted', 'info', 'volume-high');
         } else {
-            await ytMusicApi.mute();
+            await target.commands.enqueue('mute');
             currentKeyData.data.currentState = 1;
+            target.store.setOptimistic({ isMuted: true });
             logger.info('Audio muted');
-            showErrorNotification(serialNumber, 'Audio muted', 'info', 'volume-off');
+            showNotification(serialNumber, 'Audio muted', 'info', 'volume-off');
         }
 
         // Update multi-state key display
@@ -218,32 +221,29 @@ async function handleMuteToggleInteraction(serialNumber, key, data) {
 
     } catch (error) {
         logger.error(`Error handling mute toggle interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'mute toggle');
-        } else {
-            showErrorNotification(serialNumber, `Mute toggle failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'mute toggle');
     }
 }
 
 async function handleShuffleInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling shuffle interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
         const isShuffled = currentKeyData.data.currentState === 1;
 
-        await ytMusicApi.shuffle();
+        await target.commands.enqueue('shuffle');
         currentKeyData.data.currentState = isShuffled ? 0 : 1;
         
         const newStatus = !isShuffled ? 'enabled' : 'disabled';
         logger.info(`Shuffle ${newStatus}`);
-        showErrorNotification(serialNumber, `Shuffle ${newStatus}`, 'info', 'shuffle');
+        showNotification(serialNumber, `Shuffle ${newStatus}`, 'info', 'shuffle');
 
         // Update multi-state key display
         plugin.setMultiState(serialNumber, key, currentKeyData.data.currentState);
@@ -255,21 +255,18 @@ async function handleShuffleInteraction(serialNumber, key, data) {
 
     } catch (error) {
         logger.error(`Error handling shuffle interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'shuffle');
-        } else {
-            showErrorNotification(serialNumber, `Shuffle failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'shuffle');
     }
 }
 
 async function handleRepeatInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling repeat interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
@@ -280,9 +277,10 @@ async function handleRepeatInteraction(serialNumber, key, data) {
         const currentModeName = repeatModeNames[currentKeyData.data.currentState];
         
         // Use setRepeatMode with numeric value (0 = None, 1 = All, 2 = One)
-        await ytMusicApi.setRepeatMode(currentKeyData.data.currentState);
+        await target.commands.enqueue('setRepeatMode', currentKeyData.data.currentState);
+        target.store.setOptimistic({ repeatMode: currentKeyData.data.currentState });
         logger.info(`Repeat mode set to: ${currentModeName} (${currentKeyData.data.currentState})`);
-        showErrorNotification(serialNumber, `Repeat: ${currentModeName}`, 'info', 'repeat');
+        showNotification(serialNumber, `Repeat: ${currentModeName}`, 'info', 'repeat');
 
         // Update multi-state key display
         plugin.setMultiState(serialNumber, key, currentKeyData.data.currentState);
@@ -294,90 +292,80 @@ async function handleRepeatInteraction(serialNumber, key, data) {
 
     } catch (error) {
         logger.error(`Error handling repeat interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'repeat');
-        } else {
-            showErrorNotification(serialNumber, `Repeat failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'repeat');
     }
 }
 
 async function handleSeekForwardInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling seek forward interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
         const seconds = currentKeyData.data.seconds || 10;
         
-        const currentPosition = currentPlaybackState.progress || 0;
-        const newPosition = currentPosition + seconds;
-        
-        await ytMusicApi.seekTo(newPosition);
+        // Relative to the newest queued position, so repeated presses add up
+        const newPosition = await target.commands.seekBy(seconds);
+        target.store.setOptimistic({ progress: newPosition });
         logger.info(`Seeked forward by ${seconds} seconds to ${newPosition}`);
-        showErrorNotification(serialNumber, `+${seconds}s`, 'info', 'fast-forward');
+        showNotification(serialNumber, `+${seconds}s`, 'info', 'fast-forward');
 
     } catch (error) {
         logger.error(`Error handling seek forward interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'seek');
-        } else {
-            showErrorNotification(serialNumber, `Seek failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'seek');
     }
 }
 
 async function handleSeekBackwardInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling seek backward interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
         const seconds = currentKeyData.data.seconds || 10;
         
-        const currentPosition = currentPlaybackState.progress || 0;
-        const newPosition = Math.max(0, currentPosition - seconds);
-        
-        await ytMusicApi.seekTo(newPosition);
+        // Relative to the newest queued position, so repeated presses add up
+        const newPosition = await target.commands.seekBy(-seconds);
+        target.store.setOptimistic({ progress: newPosition });
         logger.info(`Seeked backward by ${seconds} seconds to ${newPosition}`);
-        showErrorNotification(serialNumber, `-${seconds}s`, 'info', 'rewind');
+        showNotification(serialNumber, `-${seconds}s`, 'info', 'rewind');
 
     } catch (error) {
         logger.error(`Error handling seek backward interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'seek');
-        } else {
-            showErrorNotification(serialNumber, `Seek failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'seek');
     }
 }
 
 async function handleSeekSliderInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling seek slider interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
         const sliderValue = data?.value || 0; // Assuming slider sends value 0-100
         
-        const duration = currentPlaybackState.duration || currentKeyData.data.duration;
+        const duration = target.state.duration || currentKeyData.data.duration;
         const newPosition = (sliderValue / 100) * duration;
         
-        await ytMusicApi.seekTo(newPosition);
+        await target.commands.seekTo(newPosition);
+        target.store.setOptimistic({ progress: newPosition });
         logger.info(`Seeked to position ${newPosition} (${sliderValue}%)`);
-        showErrorNotification(serialNumber, `Seek: ${sliderValue}%`, 'info', 'clock');
+        showNotification(serialNumber, `Seek: ${sliderValue}%`, 'info', 'clock');
 
         // Update display after short delay
         setTimeout(() => {
@@ -386,21 +374,18 @@ async function handleSeekSliderInteraction(serialNumber, key, data) {
 
     } catch (error) {
         logger.error(`Error handling seek slider interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'seek slider');
-        } else {
-            showErrorNotification(serialNumber, `Seek slider failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'seek slider');
     }
 }
 
 async function handlePlayByIdInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling play by ID interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
@@ -412,37 +397,35 @@ async function handlePlayByIdInteraction(serialNumber, key, data) {
         }
 
         if (videoId) {
-            await ytMusicApi.changeVideo(videoId);
+            await target.commands.enqueue('changeVideo', videoId);
             logger.info(`Playing video: ${videoId}`);
-            showErrorNotification(serialNumber, `Playing video: ${videoId.substring(0, 8)}`, 'info', 'play');
+            showNotification(serialNumber, `Playing video: ${videoId.substring(0, 8)}`, 'info', 'play');
         } else if (playlistId) {
-            await ytMusicApi.changeVideo(null, playlistId);
+            await target.commands.enqueue('changeVideo', null, playlistId);
             logger.info(`Playing playlist: ${playlistId}`);
-            showErrorNotification(serialNumber, `Playing playlist: ${playlistId.substring(0, 8)}`, 'info', 'playlist-play');
+            showNotification(serialNumber, `Playing playlist: ${playlistId.substring(0, 8)}`, 'info', 'playlist-play');
         }
 
     } catch (error) {
         logger.error(`Error handling play by ID interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'play by ID');
-        } else {
-            showErrorNotification(serialNumber, `Play by ID failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'play by ID');
     }
 }
 
 async function handleVolumeUpInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling volume up interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.volumeUp();
-        logger.info('Volume increased');
-        showErrorNotification(serialNumber, 'Volume increased', 'info', 'volume-high');
+        const volume = await target.commands.adjustVolume(VOLUME_STEP);
+        target.store.setOptimistic({ volume });
+        logger.info(`Volume increased to ${volume}`);
+        showNotification(serialNumber, 'Volume increased', 'info', 'volume-high');
 
         // Update display after short delay
         setTimeout(() => {
@@ -451,26 +434,24 @@ async function handleVolumeUpInteraction(serialNumber, key, data) {
 
     } catch (error) {
         logger.error(`Error handling volume up interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'volume control');
-        } else {
-            showErrorNotification(serialNumber, `Volume up failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'volume control');
     }
 }
 
 async function handleVolumeDownInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling volume down interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
-        await ytMusicApi.volumeDown();
-        logger.info('Volume decreased');
-        showErrorNotification(serialNumber, 'Volume decreased', 'info', 'volume-low');
+        const volume = await target.commands.adjustVolume(-VOLUME_STEP);
+        target.store.setOptimistic({ volume });
+        logger.info(`Volume decreased to ${volume}`);
+        showNotification(serialNumber, 'Volume decreased', 'info', 'volume-low');
 
         // Update display after short delay
         setTimeout(() => {
@@ -479,21 +460,18 @@ async function handleVolumeDownInteraction(serialNumber, key, data) {
 
     } catch (error) {
         logger.error(`Error handling volume down interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'volume control');
-        } else {
-            showErrorNotification(serialNumber, `Volume down failed: ${error.message}`, 'error', 'warning');
-        }
+        handleKeyError(serialNumber, key, error, 'volume control');
     }
 }
 
 async function handleVolumeSliderInteraction(serialNumber, key, data) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     logger.info(`Handling volume slider interaction for key ${keyId}`);
 
     try {
-        if (!ytMusicAuth.getAuthenticationStatus()) {
-            throw new Error('Not authenticated');
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
         }
 
         const currentKeyData = keyManager.keyData[key.uid];
@@ -502,9 +480,10 @@ async function handleVolumeSliderInteraction(serialNumber, key, data) {
         // Update the key data with new volume
         currentKeyData.data.currentVolume = Math.round(sliderValue);
         
-        await ytMusicApi.setVolume(Math.round(sliderValue));
+        await target.commands.setVolume(sliderValue);
+        target.store.setOptimistic({ volume: Math.round(sliderValue) });
         logger.info(`Volume set to ${Math.round(sliderValue)}`);
-        showErrorNotification(serialNumber, `Volume: ${Math.round(sliderValue)}%`, 'info', 'volume');
+        showNotification(serialNumber, `Volume: ${Math.round(sliderValue)}%`, 'info', 'volume');
 
         // Update display after short delay
         setTimeout(() => {
@@ -513,17 +492,47 @@ async function handleVolumeSliderInteraction(serialNumber, key, data) {
 
     } catch (error) {
         logger.error(`Error handling volume slider interaction: ${error.message}`);
-        if (error.message.includes('Not authenticated')) {
-            showAuthError(serialNumber, 'volume control');
+        handleKeyError(serialNumber, key, error, 'volume control');
+    }
+}
+
+// Press on the connection key: drop the socket and reconnect right away (skips backoff and probe waits)
+// A long press starts re-authentication, which plugin.js handles before dispatching here
+async function handleConnectionKeyInteraction(serialNumber, key, data) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
+    logger.info(`Handling connection key interaction for key ${keyId}`);
+
+    try {
+        if (!target.auth.getAuthenticationStatus()) {
+            throw new AuthError('Not authenticated');
+        }
+
+        showNotification(serialNumber, `Reconnecting to ${target.name}...`, 'info', 'refresh');
+        if (!await target.api.checkServerStatus()) {
+            throw new ServerUnreachableError(`YouTube Music Companion Server not reachable at ${target.api.getServerUrl()}`);
+        }
+
+        // false when another connect is still running
+        const connected = await target.realtime.forceReconnect();
+        if (connected && target.realtime.getConnectionStatus().isConnected) {
+            showNotification(serialNumber, `Reconnected to ${target.name}`, 'info', 'check-circle');
         } else {
-            showErrorNotification(serialNumber, `Volume slider failed: ${error.message}`, 'error', 'warning');
+            showNotification(serialNumber, `Reconnect to ${target.name} failed`, 'warning', 'warning');
         }
+    } catch (error) {
+        logger.error(`Error handling connection key interaction: ${error.message}`);
+        handleKeyError(serialNumber, key, error, 'reconnect');
+    } finally {
+        updateConnectionKeyDisplay(serialNumber, key);
     }
 }
 
 // Export all interaction handler functions
 module.exports = {
     initializeModule,
+    isLongPress,
+    handleConnectionKeyInteraction,
     handleNowPlayingInteraction,
     handleLikeInteraction,
     handleDislikeInteraction,
@@ -1,31 +1,145 @@
 ﻿// Key update/display functions for FlexBar plugin
-const canvasRenderer = require('./canvasRenderer.js');
+const { renderPool, RenderCancelledError } = require('./renderPool.js');
 const keyManager = require('./keyManager.js');
 const logger = require('./loggerwrapper.js');
+const { AuthError } = require('./errors.js');
+const { getBestThumbnail } = require('./utils.js');
+const { getAlbumArtSize } = require('./canvasRenderer.js');
+const { getMarqueeOptions, MARQUEE_FPS } = require('./marquee.js');
+const { renderTemplate, DEFAULT_TEMPLATES } = require('./textTemplates.js');
+const { getGlobalTheme, getColorOverrides, ALBUM_ART_THEME } = require('./themes.js');
+const { iconPacks } = require('./iconPacks.js');
+const { getTextFonts } = require('./fonts.js');
 const { plugin } = require('@eniac/flexdesigner');
 
 // Module-level references to instances passed from plugin.js
-let currentPlaybackState = null;
+let playerTargets = null;
+
+// Slider keys, they draw no image, and the ones showing "Unsupported" as their title
+const SLIDER_CIDS = ['at.mrcode.ytmd.seekslider', 'at.mrcode.ytmd.volumeslider'];
+const unsupportedSliders = new Set();
 
 // Initialize the module with instances from plugin.js
-function initializeModule(authInstance, apiInstance, stateInstance, errorNotificationFn, authErrorFn) {
-    currentPlaybackState = stateInstance;
-    // Note: This module doesn't need auth/api instances, only state
+function initializeModule(targetManager, notificationFn, keyErrorFn) {
+    playerTargets = targetManager;
+    // Note: This module only reads each target's playback state (target.state, kept by target.store)
 }
 
-// Helper functions for error notifications
-function showErrorNotification(serialNumber, message, level = 'error', icon = 'warning') {
+// Helper functions for notifications
+function showNotification(serialNumber, message, level = 'error', icon = 'warning') {
     // Implementation would be here - for now just log
     logger.info(`Notification: ${message}`);
 }
 
 function showAuthError(serialNumber, action = 'action') {
-    showErrorNotification(serialNumber, `Authentication required for ${action}`, 'warning', 'warning');
+    showNotification(serialNumber, `Authentication required for ${action}`, 'warning', 'warning');
+}
+
+/**
+ * Position to show on a key: the target's interpolated progress clock, or the last server
+ * position if the key turned interpolation off
+ */
+function getDisplayProgress(key, playbackState) {
+    if (key.data?.enableInterpolation === false) {
+        return playbackState?.progress || 0;
+    }
+    return playerTargets.getTargetForKey(key).clock.getProgress();
+}
+
+/**
+ * Thumbnail URL of a track for a key, the smallest one at least as large as the art its layout draws
+ */
+function getKeyThumbnail(key, track, data = key.data) {
+    const artSize = getAlbumArtSize(data?.layout, key.style?.width || 480, key.style?.height || 60, data);
+    return getBestThumbnail(track?.thumbnails, artSize);
 }
 
-// Always use real-time state for playback info
-function getCurrentPlaybackState() {
-    return currentPlaybackState;
+/**
+ * Theme option for a render: the global theme, the key's own colors and, for the album art
+ * theme, the art of the track on the key's target
+ */
+function getKeyTheme(key) {
+    const id = getGlobalTheme();
+    const theme = { id, overrides: getColorOverrides(key.data) };
+    if (id === ALBUM_ART_THEME) {
+        const track = playerTargets.getTargetForKey(key).state.currentTrack;
+        theme.artUrl = getKeyThumbnail(key, track);
+    }
+    return theme;
+}
+
+/**
+ * Draw a control key with its icon pack's icon for iconName (see iconPacks.js)
+ * Resolves with false when the pack has no such icon or it can't be rendered, the caller then
+ * draws the key's built-in look
+ */
+async function drawIconPackKey(serialNumber, key, iconName) {
+    const icon = iconPacks.getIcon(key, iconName);
+    if (!icon) return false;
+
+    const keyId = `${serialNumber}-${key.uid}`;
+    try {
+        const imageData = await renderPool.render(keyId, 'createIconKeyDataUrl',
+            key.style?.width || 120,
+            icon,
+            { bgColor: key.data?.bgColor, height: key.style?.height || 60, theme: getKeyTheme(key) }
+        );
+        if (!imageData) return false;
+        keyManager.simpleDraw(serialNumber, key, imageData);
+        return true;
+    } catch (error) {
+        // A newer render of this key draws it
+        if (error instanceof RenderCancelledError) return true;
+        logger.warn(`Icon pack render failed for ${keyId}, using the built-in look: ${error.message}`);
+        return false;
+    }
+}
+
+// When each scrolling now playing key started showing its text, keyed by `${serialNumber}-${keyUid}`
+const marqueeClocks = new Map();
+
+/**
+ * Milliseconds since the key started showing this text, restarts the marquee when the text changes
+ * text identifies what is shown (the track), not the rendered line that may contain the elapsed time
+ */
+function getMarqueeElapsed(keyId, text) {
+    const clock = marqueeClocks.get(keyId);
+    if (!clock || clock.text !== text) {
+        marqueeClocks.set(keyId, { text, startedAt: Date.now() });
+        return 0;
+    }
+    return Date.now() - clock.startedAt;
+}
+
+/**
+ * Keep animation frames coming (through the render scheduler) only while a line scrolls
+ */
+function updateMarqueeAnimation(serialNumber, key, scrolling) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    const scheduler = keyManager.renderScheduler;
+
+    if (scrolling && !scheduler.isAnimating(serialNumber, keyId)) {
+        scheduler.animate(serialNumber, keyId, () => updateNowPlayingKeyDisplay(serialNumber, keyManager.keyData[key.uid] || key), MARQUEE_FPS);
+        logger.debug(`Marquee started for now playing key ${keyId}`);
+    } else if (!scrolling && scheduler.isAnimating(serialNumber, keyId)) {
+        stopMarquee(serialNumber, key);
+    }
+}
+
+function stopMarquee(serialNumber, key) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    keyManager.renderScheduler.stopAnimation(serialNumber, keyId);
+    marqueeClocks.delete(keyId);
+}
+
+// A removed key takes its marquee clock with it
+keyManager.onKeyCleanup((serialNumber, keyUid) => {
+    stopMarquee(serialNumber, { uid: keyUid });
+});
+
+// Always use real-time state for playback info (of the target the key is routed to)
+function getCurrentPlaybackState(key) {
+    return playerTargets.getTargetForKey(key).state;
 }
 
 async function updateNowPlayingKeyDisplay(serialNumber, key) {
@@ -44,7 +158,7 @@ async function updateNowPlayingKeyDisplay(serialNumber, key) {
         }
 
         // Get the current playback state
-        const playbackState = getCurrentPlaybackState();
+        const playbackState = getCurrentPlaybackState(key);
         let trackData = null;
 
         // Extract track data from the playback state
@@ -52,17 +166,24 @@ async function updateNowPlayingKeyDisplay(serialNumber, key) {
             trackData = playbackState.currentTrack;
         }
 
-        // If no track data available, show default state
-        const title = trackData?.title || 'Nothing Playing';
-        const artist = trackData?.artist || '';
+        const progress = getDisplayProgress(currentKeyData, playbackState);
+        const displayState = { ...playbackState, progress };
+
+        // Lines from the key's templates, or the default state if no track is available
+        const title = trackData ? renderTemplate(currentKeyData.data.titleTemplate || DEFAULT_TEMPLATES.title, displayState) : 'Nothing Playing';
+        const artist = trackData ? renderTemplate(currentKeyData.data.artistTemplate || DEFAULT_TEMPLATES.artist, displayState) : '';
         const isPlaying = playbackState?.isPlaying || false;
-        const progress = playbackState?.progress || 0;
         const duration = playbackState?.duration || trackData?.duration || 0;
-        const albumArt = trackData?.thumbnails?.length > 0 ? trackData.thumbnails[0].url : null;
+        const albumArt = getKeyThumbnail(key, trackData, currentKeyData.data);
+
+        const marquee = getMarqueeOptions(currentKeyData.data);
+        if (marquee.enabled) {
+            marquee.elapsedMs = getMarqueeElapsed(keyId, `${trackData?.videoId}|${currentKeyData.data.titleTemplate}|${currentKeyData.data.artistTemplate}`);
+        }
 
         logger.debug(`Updating now playing display: "${title}" by "${artist}", playing: ${isPlaying}, progress: ${progress}/${duration}`);
 
-        const buttonDataUrl = await canvasRenderer.createYouTubeMusicButtonDataUrl(
+        const frame = await renderPool.render(keyId, 'createNowPlayingFrame',
             key.style?.width || 480,
             title,
             artist,
@@ -77,23 +198,34 @@ async function updateNowPlayingKeyDisplay(serialNumber, key) {
             currentKeyData.data.titleFontSize,
             currentKeyData.data.artistFontSize,
             currentKeyData.data.showTimeInfo,
-            currentKeyData.data.timeFontSize
+            currentKeyData.data.timeFontSize,
+            {
+                layout: currentKeyData.data.layout,
+                height: key.style?.height || 60,
+                showArtist: currentKeyData.data.showArtist !== false,
+                theme: getKeyTheme(currentKeyData),
+                fonts: getTextFonts(currentKeyData.data),
+                marquee
+            }
         );
 
-        keyManager.simpleDraw(serialNumber, currentKeyData, buttonDataUrl);
+        keyManager.simpleDraw(serialNumber, currentKeyData, frame.dataUrl);
+        updateMarqueeAnimation(serialNumber, currentKeyData, frame.scrolling);
     } catch (error) {
+        if (error instanceof RenderCancelledError) return; // A newer render for this key replaced this one
         logger.error(`Error updating now playing key ${keyId}: ${error.message}`);
         keyManager.textOnlyDraw(serialNumber, key, 'Update Error');
-        if (error.message.includes('Not authenticated')) {
+        if (error instanceof AuthError) {
             showAuthError(serialNumber, 'now playing');
         } else {
-            showErrorNotification(serialNumber, 'Display update failed', 'error', 'warning');
+            showNotification(serialNumber, 'Display update failed', 'error', 'warning');
         }
     }
 }
 
 async function updateLikeKeyDisplay(serialNumber, key) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
 
     try {
         if (!keyManager.activeKeys[keyId]) {
@@ -108,11 +240,11 @@ async function updateLikeKeyDisplay(serialNumber, key) {
         }
 
         // Update with current track's like status
-        const likeStatus = currentPlaybackState.likeStatus;
+        const likeStatus = target.state.likeStatus;
         currentKeyData.data.isLiked = likeStatus;
-        currentKeyData.data.currentTrackId = currentPlaybackState.currentTrack?.videoId;
+        currentKeyData.data.currentTrackId = target.state.currentTrack?.videoId;
 
-        const buttonDataUrl = await canvasRenderer.createYouTubeMusicButtonDataUrl(
+        const buttonDataUrl = await renderPool.render(keyId, 'createYouTubeMusicButtonDataUrl',
             key.style?.width || 120,
             '',
             '',
@@ -125,26 +257,30 @@ async function updateLikeKeyDisplay(serialNumber, key) {
             {
                 renderType: 'like',
                 isLiked: likeStatus,
+                icon: iconPacks.getIcon(currentKeyData, likeStatus === true || likeStatus === 2 ? 'liked' : 'unliked'),
                 likedColor: currentKeyData.data.likedColor,
                 unlikedColor: currentKeyData.data.unlikedColor,
-                likeBgColor: currentKeyData.data.likeBgColor
+                likeBgColor: currentKeyData.data.likeBgColor,
+                theme: getKeyTheme(currentKeyData)
             }
         );
 
         keyManager.simpleDraw(serialNumber, currentKeyData, buttonDataUrl);
     } catch (error) {
+        if (error instanceof RenderCancelledError) return;
         logger.error(`Error updating like key ${keyId}: ${error.message}`);
         keyManager.textOnlyDraw(serialNumber, key, 'Like Error');
-        if (error.message.includes('Not authenticated')) {
+        if (error instanceof AuthError) {
             showAuthError(serialNumber, 'like control');
         } else {
-            showErrorNotification(serialNumber, 'Like update failed', 'error', 'warning');
+            showNotification(serialNumber, 'Like update failed', 'error', 'warning');
         }
     }
 }
 
 async function updateDislikeKeyDisplay(serialNumber, key) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
 
     try {
         if (!keyManager.activeKeys[keyId]) {
@@ -159,11 +295,11 @@ async function updateDislikeKeyDisplay(serialNumber, key) {
         }
 
         // Update with current track's like status
-        const likeStatus = currentPlaybackState.likeStatus;
+        const likeStatus = target.state.likeStatus;
         currentKeyData.data.isLiked = likeStatus;
-        currentKeyData.data.currentTrackId = currentPlaybackState.currentTrack?.videoId;
+        currentKeyData.data.currentTrackId = target.state.currentTrack?.videoId;
 
-        const buttonDataUrl = await canvasRenderer.createYouTubeMusicButtonDataUrl(
+        const buttonDataUrl = await renderPool.render(keyId, 'createYouTubeMusicButtonDataUrl',
             key.style?.width || 120,
             '',
             '',
@@ -176,26 +312,30 @@ async function updateDislikeKeyDisplay(serialNumber, key) {
             {
                 renderType: 'dislike',
                 isLiked: likeStatus,
+                icon: iconPacks.getIcon(currentKeyData, likeStatus === 0 ? 'disliked' : 'undisliked'),
                 dislikedColor: currentKeyData.data.dislikedColor,
                 unlikedColor: currentKeyData.data.unlikedColor,
-                dislikeBgColor: currentKeyData.data.dislikeBgColor
+                dislikeBgColor: currentKeyData.data.dislikeBgColor,
+                theme: getKeyTheme(currentKeyData)
             }
         );
 
         keyManager.simpleDraw(serialNumber, currentKeyData, buttonDataUrl);
     } catch (error) {
+        if (error instanceof RenderCancelledError) return;
         logger.error(`Error updating dislike key ${keyId}: ${error.message}`);
         keyManager.textOnlyDraw(serialNumber, key, 'Dislike Error');
-        if (error.message.includes('Not authenticated')) {
+        if (error instanceof AuthError) {
             showAuthError(serialNumber, 'dislike control');
         } else {
-            showErrorNotification(serialNumber, 'Dislike update failed', 'error', 'warning');
+            showNotification(serialNumber, 'Dislike update failed', 'error', 'warning');
         }
     }
 }
 
 async function updatePlayPauseKeyDisplay(serialNumber, key) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     try {
         if (!keyManager.activeKeys[keyId]) {
             logger.warn(`Attempted to update inactive play/pause key ${keyId}`);
@@ -208,10 +348,10 @@ async function updatePlayPauseKeyDisplay(serialNumber, key) {
             return;
         }
 
-        const isPlaying = currentPlaybackState.isPlaying;
+        const isPlaying = target.state.isPlaying;
         currentKeyData.data.isPlaying = isPlaying;
 
-        const buttonDataUrl = await canvasRenderer.createYouTubeMusicButtonDataUrl(
+        const buttonDataUrl = await renderPool.render(keyId, 'createYouTubeMusicButtonDataUrl',
             key.style?.width || 120,
             '',
             '',
@@ -223,20 +363,23 @@ async function updatePlayPauseKeyDisplay(serialNumber, key) {
             false, false, false, 18, 14, false, 10,
             {
                 renderType: 'playpause',
+                icon: iconPacks.getIcon(currentKeyData, isPlaying ? 'pause' : 'play'),
                 playColor: currentKeyData.data.playColor,
                 pauseColor: currentKeyData.data.pauseColor,
-                bgColor: currentKeyData.data.bgColor
+                bgColor: currentKeyData.data.bgColor,
+                theme: getKeyTheme(currentKeyData)
             }
         );
 
         keyManager.simpleDraw(serialNumber, currentKeyData, buttonDataUrl);
     } catch (error) {
+        if (error instanceof RenderCancelledError) return;
         logger.error(`Error updating play/pause key ${keyId}: ${error.message}`);
         keyManager.textOnlyDraw(serialNumber, key, 'P/P Error');
-        if (error.message.includes('Not authenticated')) {
+        if (error instanceof AuthError) {
             showAuthError(serialNumber, 'play/pause');
         } else {
-            showErrorNotification(serialNumber, 'Play/pause update failed', 'error', 'warning');
+            showNotification(serialNumber, 'Play/pause update failed', 'error', 'warning');
         }
     }
 }
@@ -255,6 +398,7 @@ async function updatePreviousKeyDisplay(serialNumber, key) {
             return;
         }
 
+        if (await drawIconPackKey(serialNumber, currentKeyData, 'previous')) return;
         keyManager.simpleTextDraw(serialNumber, currentKeyData, 'Previous', currentKeyData.data.bgColor);
     } catch (error) {
         logger.error(`Error updating previous key ${keyId}: ${error.message}`);
@@ -276,6 +420,7 @@ async function updateNextKeyDisplay(serialNumber, key) {
             return;
         }
 
+        if (await drawIconPackKey(serialNumber, currentKeyData, 'next')) return;
         keyManager.simpleTextDraw(serialNumber, currentKeyData, 'Next', currentKeyData.data.bgColor);
     } catch (error) {
         logger.error(`Error updating next key ${keyId}: ${error.message}`);
@@ -297,7 +442,9 @@ async function updateMuteToggleKeyDisplay(serialNumber, key) {
             return;
         }
 
-        const isMuted = currentKeyData.data.currentState === 1;
+        // The server's mute state when it reports one, otherwise the key's own toggle state
+        const isMuted = playerTargets.getTargetForKey(key).state.isMuted ?? currentKeyData.data.currentState === 1;
+        if (await drawIconPackKey(serialNumber, currentKeyData, isMuted ? 'muted' : 'unmuted')) return;
         const text = isMuted ? 'Muted' : 'Unmuted';
         keyManager.simpleTextDraw(serialNumber, currentKeyData, text, currentKeyData.data.bgColor);
     } catch (error) {
@@ -321,6 +468,7 @@ async function updateShuffleKeyDisplay(serialNumber, key) {
         }
 
         const isShuffled = currentKeyData.data.currentState === 1;
+        if (await drawIconPackKey(serialNumber, currentKeyData, isShuffled ? 'shuffle-on' : 'shuffle-off')) return;
         const text = isShuffled ? 'Shuffle On' : 'Shuffle Off';
         keyManager.simpleTextDraw(serialNumber, currentKeyData, text, currentKeyData.data.bgColor);
     } catch (error) {
@@ -331,6 +479,7 @@ async function updateShuffleKeyDisplay(serialNumber, key) {
 
 async function updateRepeatKeyDisplay(serialNumber, key) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     try {
         if (!keyManager.activeKeys[keyId]) {
             logger.warn(`Attempted to update inactive repeat key ${keyId}`);
@@ -343,9 +492,9 @@ async function updateRepeatKeyDisplay(serialNumber, key) {
             return;
         }
 
-        // Use real-time repeat mode from currentPlaybackState
+        // Use real-time repeat mode from the target playback state
         // repeatMode: -1 Unknown, 0 None, 1 All, 2 One
-        const repeatMode = currentPlaybackState.repeatMode || -1;
+        const repeatMode = target.state.repeatMode ?? -1;
         
         // Map repeat mode to multi-state value (0-based for FlexBar)
         let multiStateValue = 0; // Default to "None"
@@ -360,6 +509,9 @@ async function updateRepeatKeyDisplay(serialNumber, key) {
         
         plugin.setMultiState(serialNumber, key, multiStateValue);
         logger.debug(`Updated repeat mode to: ${repeatMode} (multi-state: ${multiStateValue})`);
+
+        // An icon pack draws over the state's built-in icon
+        await drawIconPackKey(serialNumber, currentKeyData, ['repeat-off', 'repeat-all', 'repeat-one'][multiStateValue]);
         //keyManager.simpleTextDraw(serialNumber, currentKeyData, text, currentKeyData.data.bgColor);
     } catch (error) {
         logger.error(`Error updating repeat key ${keyId}: ${error.message}`);
@@ -382,6 +534,7 @@ async function updateSeekForwardKeyDisplay(serialNumber, key) {
         }
 
         const seconds = currentKeyData.data.seconds || 10;
+        if (await drawIconPackKey(serialNumber, currentKeyData, 'seek-forward')) return;
         keyManager.simpleTextDraw(serialNumber, currentKeyData, `+${seconds}s`, currentKeyData.data.bgColor);
     } catch (error) {
         logger.error(`Error updating seek forward key ${keyId}: ${error.message}`);
@@ -404,6 +557,7 @@ async function updateSeekBackwardKeyDisplay(serialNumber, key) {
         }
 
         const seconds = currentKeyData.data.seconds || 10;
+        if (await drawIconPackKey(serialNumber, currentKeyData, 'seek-backward')) return;
         keyManager.simpleTextDraw(serialNumber, currentKeyData, `-${seconds}s`, currentKeyData.data.bgColor);
     } catch (error) {
         logger.error(`Error updating seek backward key ${keyId}: ${error.message}`);
@@ -413,6 +567,7 @@ async function updateSeekBackwardKeyDisplay(serialNumber, key) {
 
 async function updateSeekSliderKeyDisplay(serialNumber, key) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     try {
         if (!keyManager.activeKeys[keyId]) {
             logger.warn(`Attempted to update inactive seek slider key ${keyId}`);
@@ -426,8 +581,8 @@ async function updateSeekSliderKeyDisplay(serialNumber, key) {
         }
 
         // Update current position from global state
-        currentKeyData.data.currentPosition = currentPlaybackState.progress || 0;
-        currentKeyData.data.duration = currentPlaybackState.duration || 600;
+        currentKeyData.data.currentPosition = getDisplayProgress(currentKeyData, target.state);
+        currentKeyData.data.duration = target.state.duration || 600;
 
         const progress = currentKeyData.data.duration > 0 ? 
             (currentKeyData.data.currentPosition / currentKeyData.data.duration) * 100 : 0;
@@ -475,6 +630,7 @@ async function updateVolumeUpKeyDisplay(serialNumber, key) {
             return;
         }
 
+        if (await drawIconPackKey(serialNumber, currentKeyData, 'volume-up')) return;
         keyManager.simpleTextDraw(serialNumber, currentKeyData, 'Vol +', currentKeyData.data.bgColor);
     } catch (error) {
         logger.error(`Error updating volume up key ${keyId}: ${error.message}`);
@@ -496,6 +652,7 @@ async function updateVolumeDownKeyDisplay(serialNumber, key) {
             return;
         }
 
+        if (await drawIconPackKey(serialNumber, currentKeyData, 'volume-down')) return;
         keyManager.simpleTextDraw(serialNumber, currentKeyData, 'Vol -', currentKeyData.data.bgColor);
     } catch (error) {
         logger.error(`Error updating volume down key ${keyId}: ${error.message}`);
@@ -505,6 +662,7 @@ async function updateVolumeDownKeyDisplay(serialNumber, key) {
 
 async function updateVolumeSliderKeyDisplay(serialNumber, key) {
     const keyId = `${serialNumber}-${key.uid}`;
+    const target = playerTargets.getTargetForKey(key);
     try {
         if (!keyManager.activeKeys[keyId]) {
             logger.warn(`Attempted to update inactive volume slider key ${keyId}`);
@@ -517,8 +675,13 @@ async function updateVolumeSliderKeyDisplay(serialNumber, key) {
             return;
         }
 
-        // Use real-time volume from currentPlaybackState
-        const volume = currentPlaybackState.volume || 50;
+        // Title was replaced while the key was unsupported
+        if (unsupportedSliders.delete(keyId)) {
+            keyManager.textOnlyDraw(serialNumber, currentKeyData);
+        }
+
+        // Use real-time volume from the target playback state
+        const volume = target.state.volume || 50;
         
         // Update the key's internal state to match real-time state
         currentKeyData.data.currentVolume = volume;
@@ -532,9 +695,167 @@ async function updateVolumeSliderKeyDisplay(serialNumber, key) {
     }
 }
 
+// Draw a status message (offline, re-auth required, ...) instead of the normal key content
+async function drawStatusKey(serialNumber, key, statusText, statusSubtext, statusColor) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    // A scrolling now playing key would draw over the status
+    stopMarquee(serialNumber, key);
+    try {
+        if (!keyManager.activeKeys[keyId]) {
+            logger.warn(`Attempted to draw status "${statusText}" on inactive key ${keyId}`);
+            return;
+        }
+
+        const imageData = await renderPool.render(keyId, 'createStatusDataUrl',
+            key.style?.width || 120,
+            statusText,
+            statusSubtext,
+            { statusColor, bgColor: key.data?.bgColor, theme: getKeyTheme(key), fonts: getTextFonts(key.data) }
+        );
+        keyManager.simpleDraw(serialNumber, key, imageData);
+    } catch (error) {
+        if (error instanceof RenderCancelledError) return;
+        logger.error(`Error drawing status "${statusText}" for key ${keyId}: ${error.message}`);
+        keyManager.textOnlyDraw(serialNumber, key, statusText);
+    }
+}
+
+// Shown instead of the normal key content while the key's target is unreachable
+async function updateOfflineKeyDisplay(serialNumber, key) {
+    const target = playerTargets.getTargetForKey(key);
+    const retryIn = Math.ceil(target.api.circuitBreaker.getRetryDelay() / 1000);
+    const subtext = retryIn > 0 ? `${target.name} · retry ${retryIn}s` : target.name;
+    await drawStatusKey(serialNumber, key, 'Offline', subtext, '#FF5252');
+}
+
+// Shown after the key's target revoked our token, pressing the key starts re-authentication
+async function updateReauthKeyDisplay(serialNumber, key) {
+    const target = playerTargets.getTargetForKey(key);
+    await drawStatusKey(serialNumber, key, 'Re-auth required', `Press to connect ${target.name}`, '#FFC107');
+}
+
+// Shown when the key's commands are not supported by the connected YTMD version
+// Sliders show it as their title, the volume slider puts its own title back once supported
+async function updateUnsupportedKeyDisplay(serialNumber, key) {
+    if (SLIDER_CIDS.includes(key.cid)) {
+        unsupportedSliders.add(`${serialNumber}-${key.uid}`);
+        keyManager.textOnlyDraw(serialNumber, key, 'Unsupported');
+        return;
+    }
+    const target = playerTargets.getTargetForKey(key);
+    await drawStatusKey(serialNumber, key, 'Unsupported', `Update YTMD (${target.name})`, '#9E9E9E');
+}
+
+// Shown while the key's target waits for the approval code to be accepted in YTMD
+async function updateAuthCodeKeyDisplay(serialNumber, key) {
+    const pendingAuth = playerTargets.getTargetForKey(key).auth.getPendingAuth();
+    if (!pendingAuth) return;
+
+    const secondsLeft = Math.ceil(pendingAuth.remainingMs / 1000);
+    await drawStatusKey(serialNumber, key, `Code ${pendingAuth.code}`, `Approve in YTMD · ${secondsLeft}s · press to cancel`, '#2196F3');
+}
+
+// Colors of the connection key indicator dots
+const CONNECTION_COLORS = {
+    ok: '#4CAF50',
+    warn: '#FFC107',
+    error: '#FF5252',
+    off: '#9E9E9E'
+};
+
+// Format how long ago a timestamp was, e.g. "4s ago" or "3m ago"
+function formatAge(timestamp) {
+    if (!timestamp) return 'never';
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    return `${Math.floor(seconds / 3600)}h ago`;
+}
+
+// Connection key: server reachable, auth state and socket state of the key's target,
+// plus the reconnect attempt or the age of the last state update
+async function updateConnectionKeyDisplay(serialNumber, key) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    try {
+        if (!keyManager.activeKeys[keyId]) {
+            logger.warn(`Attempted to update inactive connection key ${keyId}`);
+            return;
+        }
+
+        const target = playerTargets.getTargetForKey(key);
+        const reconnect = target.realtime.getReconnectStatus();
+        const isAuthenticated = target.auth.getAuthenticationStatus();
+
+        let serverColor = CONNECTION_COLORS.off;
+        if (target.state.offline) {
+            serverColor = CONNECTION_COLORS.error;
+        } else if (target.api.getCapabilities()) {
+            serverColor = target.api.getCapabilities().compatible ? CONNECTION_COLORS.ok : CONNECTION_COLORS.warn;
+        }
+
+        let authColor = isAuthenticated ? CONNECTION_COLORS.ok : CONNECTION_COLORS.off;
+        if (target.auth.getPendingAuth()) {
+            authColor = CONNECTION_COLORS.warn;
+        } else if (target.state.reauthRequired) {
+            authColor = CONNECTION_COLORS.error;
+        }
+
+        let socketLabel = 'Socket';
+        let socketColor = CONNECTION_COLORS.off;
+        if (reconnect.transport === 'socket') {
+            socketColor = CONNECTION_COLORS.ok;
+        } else if (reconnect.transport === 'polling') {
+            socketLabel = 'Polling';
+            socketColor = CONNECTION_COLORS.warn;
+        } else if (reconnect.phase !== 'idle') {
+            socketColor = CONNECTION_COLORS.error;
+        }
+
+        const lastUpdate = target.state.lastUpdate;
+        const nextIn = reconnect.nextAttemptInMs !== null ? `${Math.ceil(reconnect.nextAttemptInMs / 1000)}s` : '';
+        let detail;
+        if (target.auth.getPendingAuth()) {
+            detail = `Approve code ${target.auth.getPendingAuth().code}`;
+        } else if (target.state.reauthRequired) {
+            detail = 'Re-auth required · hold to connect';
+        } else if (!isAuthenticated) {
+            detail = 'Not authenticated · hold to connect';
+        } else if (reconnect.phase === 'backoff') {
+            detail = `Retry ${reconnect.reconnectAttempts}/${reconnect.maxReconnectAttempts} in ${nextIn} · ${formatAge(lastUpdate)}`;
+        } else if (reconnect.phase === 'probing') {
+            detail = `Waiting for YTMD · next check ${nextIn}`;
+        } else if (reconnect.phase === 'connecting') {
+            detail = 'Connecting...';
+        } else {
+            detail = `Updated ${formatAge(lastUpdate)}`;
+        }
+
+        const imageData = await renderPool.render(keyId, 'createConnectionDataUrl',
+            key.style?.width || 240,
+            [
+                { label: 'Server', color: serverColor },
+                { label: 'Auth', color: authColor },
+                { label: socketLabel, color: socketColor }
+            ],
+            detail,
+            { bgColor: key.data?.bgColor, theme: getKeyTheme(key), fonts: getTextFonts(key.data) }
+        );
+        keyManager.simpleDraw(serialNumber, key, imageData);
+    } catch (error) {
+        if (error instanceof RenderCancelledError) return;
+        logger.error(`Error updating connection key ${keyId}: ${error.message}`);
+        keyManager.textOnlyDraw(serialNumber, key, 'Status Error');
+    }
+}
+
 // Export all update functions
 module.exports = {
     initializeModule,
+    updateOfflineKeyDisplay,
+    updateReauthKeyDisplay,
+    updateAuthCodeKeyDisplay,
+    updateUnsupportedKeyDisplay,
+    getKeyTheme,
     updateNowPlayingKeyDisplay,
     updateLikeKeyDisplay,
     updateDislikeKeyDisplay,
@@ -550,6 +871,7 @@ module.exports = {
     updatePlayByIdKeyDisplay,
     updateVolumeUpKeyDisplay,
     updateVolumeDownKeyDisplay,
-    updateVolumeSliderKeyDisplay
+    updateVolumeSliderKeyDisplay,
+    updateConnectionKeyDisplay
 };
 
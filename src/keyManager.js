@@ -1,6 +1,7 @@
 // YouTube Music Plugin Key Manager
 const { plugin } = require('@eniac/flexdesigner');
 const logger = require('./loggerwrapper.js');
+const { RenderScheduler, hashFrame } = require('./renderScheduler.js');
 
 // --- State Management ---
 // Stores configuration and state for each key, keyed by key.uid
@@ -12,9 +13,11 @@ const keyIntervals = {};
 // Tracks currently active/connected keys, keyed by `${serialNumber}-${keyUid}`
 const activeKeys = {};
 
-// Tracks last update time for throttling
-let lastUpdateTime = 0;
-const MIN_UPDATE_INTERVAL = 2000; // Minimum ms between updates
+// Batches draws per key, caps frames per device and skips frames a key already shows
+const renderScheduler = new RenderScheduler();
+
+// Called with (serialNumber, keyUid, keyId) after a key's resources were cleaned up
+const keyCleanupCallbacks = [];
 
 // --- Helper Functions ---
 
@@ -60,6 +63,9 @@ function cleanupKey(serialNumber, keyUid) {
             logger.debug(`Key ${keyId} was not in activeKeys during cleanup.`);
         }
 
+        // Drop pending frames and the last drawn frame
+        renderScheduler.forgetKey(serialNumber, keyId);
+
         // Clear any intervals
         if (keyIntervals[keyId]) {
             clearInterval(keyIntervals[keyId]);
@@ -67,6 +73,8 @@ function cleanupKey(serialNumber, keyUid) {
             logger.debug(`Cleared interval for key ${keyId}.`);
         }
 
+        keyCleanupCallbacks.forEach(callback => callback(serialNumber, keyUid, keyId));
+
         logger.info(`Cleaned up resources for key ${keyUid} on device ${serialNumber}`);
     } catch (error) {
         logger.error(`Error during cleanup of key ${keyUid}: ${error.message}`);
@@ -74,20 +82,51 @@ function cleanupKey(serialNumber, keyUid) {
 }
 
 /**
- * Throttled update check
+ * Whether a draw error means the key or device is gone
  */
-function throttledUpdateCheck() {
-    const now = Date.now();
-    
-    // Skip update if it's too soon since the last one
-    if (now - lastUpdateTime < MIN_UPDATE_INTERVAL) {
-        logger.debug('Skipping update due to throttling');
-        return false;
-    }
-    
-    // Update the last update time
-    lastUpdateTime = now;
-    return true;
+function isKeyGoneError(error) {
+    return ['not alive', 'not connected', 'first argument must be', 'Unknown command type']
+        .some(message => error.message.includes(message));
+}
+
+/**
+ * Queue a draw through the render scheduler, drawFn runs when the device's next frame is sent
+ * Frames with the same hash as the one the key shows are skipped
+ */
+function queueDraw(serialNumber, key, hash, drawFn, label = 'draw') {
+    const keyId = `${serialNumber}-${key.uid}`;
+    renderScheduler.submit(serialNumber, keyId, {
+        hash,
+        draw: () => {
+            // The key may have gone away while the frame waited
+            if (!activeKeys[keyId]) return false;
+            try {
+                drawFn();
+                logger.debug(`Executed ${label} for key ${keyId}`);
+                return true;
+            } catch (error) {
+                logger.error(`${label} failed for key ${key.uid} on SN ${serialNumber}: ${error.message}`);
+                if (isKeyGoneError(error)) {
+                    cleanupKey(serialNumber, key.uid);
+                }
+                return false;
+            }
+        }
+    });
+}
+
+/**
+ * Register a callback for key removal, for state other modules keep per key
+ */
+function onKeyCleanup(callback) {
+    keyCleanupCallbacks.push(callback);
+}
+
+/**
+ * Send every key of a device again on its next draw (the device lost what it showed)
+ */
+function resetDrawCache(serialNumber) {
+    renderScheduler.forgetDevice(String(serialNumber));
 }
 
 // --- Drawing Functions ---
@@ -128,8 +167,9 @@ function textOnlyDraw(serialNumber, key, text = null) {
         safeKey.style.showImage = false;
         safeKey.style.showTitle = true;
 
-        plugin.draw(serialNumber, safeKey);
-        logger.debug(`Executed text-only draw for key ${keyId}`);
+        queueDraw(serialNumber, key, hashFrame('text', safeKey.title, safeKey.style), () => {
+            plugin.draw(serialNumber, safeKey);
+        }, 'text-only draw');
     } catch (error) {
         logger.error(`Text-only draw failed for key ${key?.uid || 'unknown'} on SN ${serialNumber}: ${error.message}`);
         
@@ -181,7 +221,15 @@ function simpleDraw(serialNumber, key, imageData = null) {
                 safeKey.style.showImage = true;
                 safeKey.style.showTitle = false;
                 
-                plugin.draw(serialNumber, safeKey, 'base64', imageData);
+                queueDraw(serialNumber, key, hashFrame('image', safeKey.style, safeKey.width, imageData), () => {
+                    try {
+                        plugin.draw(serialNumber, safeKey, 'base64', imageData);
+                    } catch (imageError) {
+                        if (isKeyGoneError(imageError)) throw imageError;
+                        logger.error(`Base64 draw failed for ${keyId}: ${imageError.message}. Falling back to text.`);
+                        textOnlyDraw(serialNumber, key);
+                    }
+                }, 'image draw');
             } catch (imageError) {
                 logger.error(`Base64 draw failed for ${keyId}: ${imageError.message}. Falling back to text.`);
                 textOnlyDraw(serialNumber, key);
@@ -245,8 +293,9 @@ function simpleTextDraw(serialNumber, key) {
             style: { ...(key.style || {}), showTitle: true, showImage: false }
         };
 
-        plugin.draw(serialNumber, safeKey);
-        logger.debug(`Executed simpleTextDraw for key ${keyId}`);
+        queueDraw(serialNumber, key, hashFrame('text', safeKey.title, safeKey.style), () => {
+            plugin.draw(serialNumber, safeKey);
+        }, 'simpleTextDraw');
     } catch (error) {
         logger.error(`simpleTextDraw error for key ${key?.uid || 'unknown'} on SN ${serialNumber}: ${error.message}`);
         
@@ -268,7 +317,9 @@ module.exports = {
     // Functions
     isDeviceConnected,
     cleanupKey,
-    throttledUpdateCheck,
+    onKeyCleanup,
+    resetDrawCache,
+    renderScheduler,
     textOnlyDraw,
     simpleDraw,
     simpleTextDraw
@@ -1,6 +1,28 @@
 // YouTube Music Plugin Logger Wrapper
-const { logger: flexbarLogger } = require("@eniac/flexdesigner");
-const { plugin } = require("@eniac/flexdesigner");
+const { isMainThread, parentPort } = require("worker_threads");
+
+// Render workers (see renderPool.js) can't talk to FlexDesigner, they hand log lines to the main thread
+function createWorkerLogger() {
+    const toCloneable = arg => {
+        if (arg instanceof Error) return arg.stack || arg.message;
+        if (arg && typeof arg === 'object') {
+            try {
+                return JSON.parse(JSON.stringify(arg));
+            } catch (error) {
+                return String(arg);
+            }
+        }
+        return arg;
+    };
+    const forward = level => (prefix, ...args) => {
+        parentPort?.postMessage({ type: 'log', level, args: args.map(toCloneable) });
+    };
+    return { debug: forward('debug'), info: forward('info'), warn: forward('warn'), error: forward('error') };
+}
+
+const flexbar = isMainThread ? require("@eniac/flexdesigner") : null;
+const flexbarLogger = flexbar ? flexbar.logger : createWorkerLogger();
+const plugin = flexbar ? flexbar.plugin : null;
 
 const PLUGIN_PREFIX = '[YTMusic Plugin]';
 
@@ -26,6 +48,7 @@ function getCurrentNumericLogLevel() {
 
 // Internal function to read config and update the logger's level
 async function _updateLogLevelFromConfig() {
+    if (!plugin) return; // Render worker, the level comes from the main thread
     try {
         const config = await plugin.getConfig();
         const oldLogLevelName = currentConfiguredLogLevelName;
@@ -0,0 +1,72 @@
+// Marquee Scrolling
+// Scroll position of now playing lines that don't fit the key. The position is a function of the
+// time since the text appeared, so every frame (rendered in any worker) agrees on where the text is.
+
+const MARQUEE_STYLES = {
+    BOUNCE: 'bounce', // Scroll to the end, pause, scroll back
+    LOOP: 'loop' // Scroll on, the text start follows again after a gap
+};
+
+const DEFAULT_MARQUEE_OPTIONS = {
+    enabled: false,
+    speed: 30, // px per second
+    pauseMs: 1500, // Pause at the ends (bounce) or at the start (loop)
+    style: MARQUEE_STYLES.BOUNCE
+};
+
+// Space between the end of the text and its repeated start in loop style
+const MARQUEE_LOOP_GAP = 40;
+
+// Frames per second of scrolling keys (the scheduler still caps each device)
+const MARQUEE_FPS = 8;
+
+/**
+ * Marquee options from now playing key data, invalid values fall back to the defaults
+ */
+function getMarqueeOptions(data = {}) {
+    const speed = parseInt(data.marqueeSpeed, 10);
+    const pauseMs = parseInt(data.marqueePauseMs, 10);
+    return {
+        enabled: data.marqueeEnabled === true,
+        speed: speed > 0 ? speed : DEFAULT_MARQUEE_OPTIONS.speed,
+        pauseMs: pauseMs >= 0 ? pauseMs : DEFAULT_MARQUEE_OPTIONS.pauseMs,
+        style: Object.values(MARQUEE_STYLES).includes(data.marqueeStyle) ? data.marqueeStyle : DEFAULT_MARQUEE_OPTIONS.style
+    };
+}
+
+/**
+ * Horizontal scroll offset in px of a line textWidth wide shown in maxWidth, elapsedMs after it appeared
+ * Lines that fit are not scrolled (offset 0)
+ */
+function getMarqueeOffset(textWidth, maxWidth, elapsedMs, options = DEFAULT_MARQUEE_OPTIONS) {
+    const overflow = textWidth - maxWidth;
+    if (overflow <= 0 || elapsedMs <= 0) return 0;
+
+    const { speed, pauseMs, style } = { ...DEFAULT_MARQUEE_OPTIONS, ...options };
+
+    if (style === MARQUEE_STYLES.LOOP) {
+        const distance = textWidth + MARQUEE_LOOP_GAP;
+        const travelMs = distance / speed * 1000;
+        const t = elapsedMs % (pauseMs + travelMs);
+        return t < pauseMs ? 0 : (t - pauseMs) / travelMs * distance;
+    }
+
+    const travelMs = overflow / speed * 1000;
+    let t = elapsedMs % (2 * (pauseMs + travelMs));
+    if (t < pauseMs) return 0;
+    t -= pauseMs;
+    if (t < travelMs) return t / travelMs * overflow;
+    t -= travelMs;
+    if (t < pauseMs) return overflow;
+    t -= pauseMs;
+    return overflow - t / travelMs * overflow;
+}
+
+module.exports = {
+    MARQUEE_STYLES,
+    DEFAULT_MARQUEE_OPTIONS,
+    MARQUEE_LOOP_GAP,
+    MARQUEE_FPS,
+    getMarqueeOptions,
+    getMarqueeOffset
+};
@@ -0,0 +1,197 @@
+// Playback State Store
+// The one place a target's playback state lives. Realtime updates, REST fetches and
+// optimistic updates from key presses all go through it, so every key reads the same state
+const logger = require('./loggerwrapper.js');
+
+// Where a state value came from
+const STATE_SOURCES = {
+    REALTIME: 'realtime',    // Socket.IO state-update
+    REST: 'rest',            // GET /state (initial fetch or polling fallback)
+    OPTIMISTIC: 'optimistic' // Value a key press asked for, replaced by the server's answer
+};
+
+// How long an optimistic value wins over server updates that still report the old value
+// (the server may send a state or two before it applied the command)
+const OPTIMISTIC_HOLD_MS = 1500;
+
+/**
+ * Creates the playback state tracked for a single target
+ */
+function createPlaybackState() {
+    return {
+        isPlaying: false,
+        currentTrack: null,
+        progress: 0,
+        duration: 0,
+        volume: 50, // Default volume level (0-100)
+        isMuted: null, // null until the server reported it
+        likeStatus: null,
+        lastUpdate: null, // When the server last reported playback data
+        source: null, // Source of the newest playback data, see STATE_SOURCES
+        realTimeConnected: false,
+        transport: null, // 'socket', 'polling' (REST fallback) or null
+        offline: false, // Circuit breaker open, server considered unreachable
+        reauthRequired: false, // Token was revoked, a key press starts re-authentication
+        repeatMode: -1 // -1 Unknown, 0 None, 1 All, 2 One
+    };
+}
+
+// Selectors for the values keys usually need, use with store.select() or store.watch()
+const selectors = {
+    currentTrack: state => state.currentTrack,
+    videoId: state => state.currentTrack?.videoId || null,
+    isPlaying: state => state.isPlaying,
+    progress: state => state.progress,
+    duration: state => state.duration,
+    volume: state => state.volume,
+    isMuted: state => state.isMuted,
+    likeStatus: state => state.likeStatus,
+    repeatMode: state => state.repeatMode,
+    transport: state => state.transport,
+    isOffline: state => state.offline,
+    isReauthRequired: state => state.reauthRequired
+};
+
+class PlaybackStore {
+    constructor(name = 'playback') {
+        this.name = name;
+        this.state = createPlaybackState();
+        this.fieldSources = {}; // field -> { source, updatedAt }
+        this.listeners = [];
+    }
+
+    /**
+     * Current state, replaced (never mutated) on every change
+     */
+    getState() {
+        return this.state;
+    }
+
+    select(selector) {
+        return selector(this.state);
+    }
+
+    /**
+     * Source and time of the last update of a field, null if it was never set
+     */
+    getSource(field) {
+        return this.fieldSources[field] || null;
+    }
+
+    /**
+     * Whether the server reported playback data within maxAgeMs
+     */
+    isFresh(maxAgeMs = 30000) {
+        return !!this.state.lastUpdate && (Date.now() - this.state.lastUpdate) < maxAgeMs;
+    }
+
+    /**
+     * Merge a partial state, returns the names of the fields that changed
+     * source is recorded per changed field; status fields (transport, offline, ...) pass none
+     */
+    update(patch, source = null) {
+        const changedKeys = Object.keys(patch).filter(field => !Object.is(this.state[field], patch[field]));
+        if (changedKeys.length === 0) {
+            return changedKeys;
+        }
+
+        const previous = this.state;
+        this.state = { ...previous };
+        const now = Date.now();
+        changedKeys.forEach(field => {
+            this.state[field] = patch[field];
+            if (source) {
+                this.fieldSources[field] = { source, updatedAt: now };
+            }
+        });
+
+        this.notify(previous, { keys: changedKeys, source });
+        return changedKeys;
+    }
+
+    /**
+     * Apply a formatted track state (ytMusicApi.formatTrackState) reported by the server
+     */
+    setTrack(trackData, source) {
+        if (!trackData) return [];
+
+        const patch = {
+            currentTrack: trackData,
+            isPlaying: trackData.isPlaying || false,
+            progress: trackData.progress || 0,
+            duration: trackData.duration || 0,
+            volume: trackData.volume ?? this.state.volume,
+            isMuted: trackData.isMuted ?? null,
+            likeStatus: trackData.likeStatus,
+            repeatMode: trackData.repeatMode ?? -1,
+            lastUpdate: trackData.lastUpdate || Date.now(),
+            source
+        };
+
+        // Keep recent optimistic values until the server reports them (or the hold runs out)
+        Object.keys(patch).forEach(field => {
+            const fieldSource = this.fieldSources[field];
+            if (fieldSource?.source === STATE_SOURCES.OPTIMISTIC &&
+                Date.now() - fieldSource.updatedAt < OPTIMISTIC_HOLD_MS &&
+                !Object.is(patch[field], this.state[field])) {
+                logger.debug(`[${this.name}] Keeping optimistic ${field}=${this.state[field]} over ${source} ${patch[field]}`);
+                delete patch[field];
+            }
+        });
+
+        return this.update(patch, source);
+    }
+
+    /**
+     * Show the value a key press asked for until the server confirms it
+     */
+    setOptimistic(patch) {
+        return this.update(patch, STATE_SOURCES.OPTIMISTIC);
+    }
+
+    /**
+     * Listen to every change, called with (state, previousState, { keys, source })
+     * Returns a function that unsubscribes
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index > -1) {
+                this.listeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Listen to a selected value, called with (value, previousValue, state) only when it changed
+     * Returns a function that unsubscribes
+     */
+    watch(selector, listener, isEqual = Object.is) {
+        return this.subscribe((state, previous) => {
+            const value = selector(state);
+            const previousValue = selector(previous);
+            if (!isEqual(value, previousValue)) {
+                listener(value, previousValue, state);
+            }
+        });
+    }
+
+    notify(previous, change) {
+        [...this.listeners].forEach(listener => {
+            try {
+                listener(this.state, previous, change);
+            } catch (error) {
+                logger.error(`Error in ${this.name} playback store listener:`, error.message);
+            }
+        });
+    }
+}
+
+module.exports = {
+    PlaybackStore,
+    STATE_SOURCES,
+    OPTIMISTIC_HOLD_MS,
+    createPlaybackState,
+    selectors
+};
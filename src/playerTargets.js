@@ -0,0 +1,342 @@
+// YouTube Music Player Target Manager
+// A player target is one YTMD instance (host + token + realtime socket) that keys can be routed to
+const logger = require('./loggerwrapper.js');
+const YouTubeMusicApi = require('./ytMusicApi.js');
+const YouTubeMusicAuth = require('./ytMusicAuth.js');
+const YouTubeMusicRealtime = require('./ytMusicRealtime.js');
+const { CommandQueue } = require('./commandQueue.js');
+const { PlaybackStore, createPlaybackState } = require('./playbackStore.js');
+const { ProgressClock } = require('./progressClock.js');
+const { DEFAULT_TARGET_ID, listTargetConfigs, readTargetConfig } = require('./targetConfig.js');
+
+/**
+ * A single YTMD instance with its own API client, auth and realtime socket
+ */
+class PlayerTarget {
+    /**
+     * @param {Object} listeners - Optional { onOfflineChange(target, isOffline), onAuthStateChange(target, isAuthenticated, reason),
+     *                             onAuthProgress(target, pendingAuth), onCapabilitiesChange(target, capabilities),
+     *                             onTransportChange(target, transport), onPlayerEvent(target, event),
+     *                             onStateChange(target, state, previousState, change) }
+     */
+    constructor(id, name, listeners = {}) {
+        this.id = id;
+        this.name = name || id;
+        this.api = new YouTubeMusicApi();
+        this.auth = new YouTubeMusicAuth(this.api, id);
+        this.realtime = new YouTubeMusicRealtime(this.api);
+        this.store = new PlaybackStore(id);
+        this.clock = new ProgressClock(id); // Interpolated progress between store updates
+        this.commands = new CommandQueue(this.api, () => this.state, id, () => this.clock.getProgress());
+        this.events = this.realtime.events; // Player events, see stateEvents.js
+        this.stateCallbackRegistered = false;
+
+        this.api.onOfflineChange(isOffline => {
+            if (this.state.offline === isOffline) return;
+            this.store.update({ offline: isOffline });
+            logger.warn(`Player target ${this} is now ${isOffline ? 'offline' : 'online'}`);
+            if (listeners.onOfflineChange) {
+                listeners.onOfflineChange(this, isOffline);
+            }
+        });
+
+        this.realtime.onTransportChange(transport => {
+            if (this.state.transport === transport) return;
+            this.store.update({ transport, realTimeConnected: transport === 'socket' });
+            logger.info(`Player target ${this} state transport: ${transport || 'none'}`);
+            if (listeners.onTransportChange) {
+                listeners.onTransportChange(this, transport);
+            }
+        });
+
+        // Realtime auth failures are handled like a 401 from the REST API
+        this.realtime.onAuthFailure(error => this.auth.handleTokenRevoked(error));
+
+        this.auth.onAuthStateChange((isAuthenticated, reason) => {
+            this.store.update({ reauthRequired: !isAuthenticated && (reason === 'revoked' || reason === 'reset') });
+            if (!isAuthenticated) {
+                this.realtime.disconnect();
+                this.store.update({ realTimeConnected: false });
+            }
+            if (listeners.onAuthStateChange) {
+                listeners.onAuthStateChange(this, isAuthenticated, reason);
+            }
+        });
+
+        this.auth.onAuthProgress(pendingAuth => {
+            if (listeners.onAuthProgress) {
+                listeners.onAuthProgress(this, pendingAuth);
+            }
+        });
+
+        // Every state sample (server or optimistic) re-anchors the progress clock
+        this.store.subscribe((state, previousState, change) => {
+            if (change.source && ['currentTrack', 'progress', 'isPlaying', 'duration'].some(key => change.keys.includes(key))) {
+                this.clock.sync({
+                    progress: state.progress,
+                    duration: state.duration,
+                    isPlaying: state.isPlaying,
+                    isBuffering: state.currentTrack?.isBuffering || false,
+                    adPlaying: state.currentTrack?.adPlaying || false,
+                    videoId: state.currentTrack?.videoId || null
+                });
+            }
+            if (listeners.onStateChange) {
+                listeners.onStateChange(this, state, previousState, change);
+            }
+        });
+
+        this.events.onAny(event => {
+            if (listeners.onPlayerEvent) {
+                listeners.onPlayerEvent(this, event);
+            }
+        });
+
+        this.api.onCapabilitiesChange(capabilities => {
+            logger.info(`Player target ${this} supports API ${capabilities.apiVersion || 'none'} with ${capabilities.commands.length} commands`);
+            if (listeners.onCapabilitiesChange) {
+                listeners.onCapabilitiesChange(this, capabilities);
+            }
+        });
+    }
+
+    /**
+     * Current playback state of this target (read-only, changes go through this.store)
+     */
+    get state() {
+        return this.store.getState();
+    }
+
+    /**
+     * Apply host/port/protocol and saved token from this target's config entry
+     * A config without token or appId (e.g. cleared in the settings) drops the token, unless an
+     * authentication flow is about to save a new one
+     * Returns true if the server address changed
+     */
+    applyConfig(targetConfig) {
+        if (targetConfig.name) {
+            this.name = targetConfig.name;
+        }
+
+        const changed = this.api.setServerConfig({
+            host: targetConfig.serverHost,
+            port: targetConfig.serverPort,
+            protocol: targetConfig.serverProtocol
+        });
+
+        if (targetConfig.isAuthenticated && targetConfig.token && targetConfig.appId) {
+            if (this.api.getToken() !== targetConfig.token) {
+                this.api.setToken(targetConfig.token, targetConfig.appId);
+            }
+            this.auth.isAuthenticated = true;
+        } else if (!this.auth.authenticationInProgress) {
+            const wasAuthenticated = this.auth.isAuthenticated;
+            if (this.api.getToken()) {
+                this.api.clearAuth();
+            }
+            this.auth.isAuthenticated = false;
+            if (wasAuthenticated) {
+                this.auth.notifyAuthStateChange(false, 'reset');
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Short description for logs and notifications
+     */
+    toString() {
+        return `${this.name} (${this.api.getServerUrl()})`;
+    }
+}
+
+/**
+ * Keeps the set of player targets in sync with the plugin config
+ */
+class PlayerTargetManager {
+    constructor() {
+        this.offlineChangeCallbacks = [];
+        this.authStateChangeCallbacks = [];
+        this.authProgressCallbacks = [];
+        this.capabilitiesChangeCallbacks = [];
+        this.transportChangeCallbacks = [];
+        this.playerEventCallbacks = [];
+        this.stateChangeCallbacks = [];
+        this.targets = new Map();
+        this.targets.set(DEFAULT_TARGET_ID, this.createTarget(DEFAULT_TARGET_ID, 'Default'));
+    }
+
+    /**
+     * Create a target wired to the manager's callbacks
+     */
+    createTarget(id, name) {
+        return new PlayerTarget(id, name, {
+            onOfflineChange: (...args) => this.notify(this.offlineChangeCallbacks, ...args),
+            onAuthStateChange: (...args) => this.notify(this.authStateChangeCallbacks, ...args),
+            onAuthProgress: (...args) => this.notify(this.authProgressCallbacks, ...args),
+            onCapabilitiesChange: (...args) => this.notify(this.capabilitiesChangeCallbacks, ...args),
+            onTransportChange: (...args) => this.notify(this.transportChangeCallbacks, ...args),
+            onStateChange: (...args) => this.notify(this.stateChangeCallbacks, ...args),
+            onPlayerEvent: (target, event) => this.notify(
+                this.playerEventCallbacks.filter(entry => entry.type === '*' || entry.type === event.type).map(entry => entry.callback),
+                target, event
+            )
+        });
+    }
+
+    notify(callbacks, ...args) {
+        callbacks.forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                logger.error('Error in player target callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Register callback for targets going offline/online, called with (target, isOffline)
+     */
+    onOfflineChange(callback) {
+        this.offlineChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Register callback for target authentication changes, called with (target, isAuthenticated, reason)
+     */
+    onAuthStateChange(callback) {
+        this.authStateChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Register callback for a target's approval code, called with (target, pendingAuth)
+     * pendingAuth is null once the authentication flow ended
+     */
+    onAuthProgress(callback) {
+        this.authProgressCallbacks.push(callback);
+    }
+
+    /**
+     * Register callback for a target's server capabilities, called with (target, capabilities)
+     */
+    onCapabilitiesChange(callback) {
+        this.capabilitiesChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Register callback for a target's state transport, called with (target, transport)
+     * transport is 'socket', 'polling' or null
+     */
+    onTransportChange(callback) {
+        this.transportChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Register callback for a target's playback store changes, called with (target, state, previousState, change)
+     * change is { keys, source }, see PlaybackStore.subscribe
+     */
+    onStateChange(callback) {
+        this.stateChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Register callback for a player event of any target, called with (target, event)
+     * type is one of PLAYER_EVENTS or '*' for all events, event is { type, previous, next, state }
+     * Returns a function that unsubscribes
+     */
+    onPlayerEvent(type, callback) {
+        const entry = { type, callback };
+        this.playerEventCallbacks.push(entry);
+        return () => {
+            const index = this.playerEventCallbacks.indexOf(entry);
+            if (index > -1) {
+                this.playerEventCallbacks.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Get a target by ID, falling back to the default target for unknown IDs
+     */
+    getTarget(targetId) {
+        if (targetId && this.targets.has(String(targetId))) {
+            return this.targets.get(String(targetId));
+        }
+        return this.targets.get(DEFAULT_TARGET_ID);
+    }
+
+    /**
+     * Get the target a key is routed to (via its `data.targetId` setting)
+     */
+    getTargetForKey(key) {
+        return this.getTarget(key?.data?.targetId);
+    }
+
+    /**
+     * Get the default target
+     */
+    getDefaultTarget() {
+        return this.targets.get(DEFAULT_TARGET_ID);
+    }
+
+    /**
+     * Get all known targets
+     */
+    getAllTargets() {
+        return Array.from(this.targets.values());
+    }
+
+    /**
+     * Create, update and remove targets to match the plugin config
+     * Returns the targets whose server address changed
+     */
+    syncFromConfig(config) {
+        const changedTargets = [];
+        const configuredTargets = listTargetConfigs(config);
+        const configuredIds = new Set(configuredTargets.map(target => target.id));
+
+        // Remove targets that no longer exist in config
+        for (const [targetId, target] of this.targets) {
+            if (targetId !== DEFAULT_TARGET_ID && !configuredIds.has(targetId)) {
+                logger.info(`Removing player target ${target}`);
+                target.realtime.disconnect();
+                target.auth.cancelAuthenticationFlow();
+                target.commands.clear(`Player target ${target.name} was removed`);
+                target.clock.dispose();
+                target.api.dispose();
+                this.targets.delete(targetId);
+            }
+        }
+
+        // Create or update configured targets
+        configuredTargets.forEach(({ id, name }) => {
+            let target = this.targets.get(id);
+            if (!target) {
+                target = this.createTarget(id, name);
+                this.targets.set(id, target);
+                logger.info(`Added player target ${target}`);
+            }
+
+            if (target.applyConfig(readTargetConfig(config, id))) {
+                changedTargets.push(target);
+            }
+        });
+
+        return changedTargets;
+    }
+
+    /**
+     * Disconnect all realtime sockets
+     */
+    disconnectAll() {
+        this.targets.forEach(target => target.realtime.disconnect());
+    }
+}
+
+module.exports = {
+    PlayerTarget,
+    PlayerTargetManager,
+    createPlaybackState,
+    DEFAULT_TARGET_ID
+};
@@ -1,29 +1,31 @@
 ﻿// YouTube Music FlexBar Plugin - Main Entry Point
+const path = require('path');
 const { plugin } = require('@eniac/flexdesigner');
 const logger = require('./loggerwrapper.js');
 const keyManager = require('./keyManager.js');
-const YouTubeMusicApi = require('./ytMusicApi.js');
-const YouTubeMusicAuth = require('./ytMusicAuth.js');
-const YouTubeMusicRealtime = require('./ytMusicRealtime.js');
+const { PlayerTargetManager } = require('./playerTargets.js');
 const keyHandler = require('./keyHandler.js');
+const { AuthError, ServerUnreachableError, RateLimitedError, CommandRejectedError, UnsupportedCommandError, TimeoutError } = require('./errors.js');
+const { isKeySupported, getCompatibilityWarning } = require('./serverCapabilities.js');
+const { PLAYER_EVENTS } = require('./stateEvents.js');
+const { STATE_SOURCES } = require('./playbackStore.js');
+const { getChangedDependencies, getKeyDependencies, shouldRedrawKey } = require('./keyDependencies.js');
+const { getGlobalTheme, setGlobalTheme, migrateColorSettings } = require('./themes.js');
+const { iconPacks } = require('./iconPacks.js');
+const { getGlobalFontFamily, setGlobalFontFamily, listFontFamilies } = require('./fonts.js');
+const { renderPool } = require('./renderPool.js');
 
-// Initialize API and auth
-const ytMusicApi = new YouTubeMusicApi();
-const ytMusicAuth = new YouTubeMusicAuth(ytMusicApi);
-const ytMusicRealtime = new YouTubeMusicRealtime(ytMusicApi);
-
-// Global state for tracking playback
-let currentPlaybackState = {
-    isPlaying: false,
-    currentTrack: null,
-    progress: 0,
-    duration: 0,
-    volume: 50, // Default volume level (0-100)
-    likeStatus: null,
-    lastUpdate: null,
-    realTimeConnected: false,
-    repeatMode: -1 // -1 Unknown, 0 None, 1 All, 2 One
-};
+// Album art disk cache (when enabled in the settings), next to the bundled backend
+const ALBUM_ART_DISK_CACHE_DIR = path.join(__dirname, 'album-art-cache');
+
+// Icon packs, one folder per pack in the plugin's resources (see iconPacks.js)
+const ICON_PACKS_DIR = path.join(__dirname, '..', 'resources', 'icons');
+
+// TTF/OTF files registered for key text, in the plugin's resources (see fonts.js)
+const FONTS_DIR = path.join(__dirname, '..', 'resources', 'fonts');
+
+// Player targets: each YTMD instance has its own API client, auth, realtime socket and playback state
+const playerTargets = new PlayerTargetManager();
 
 // Define notification levels (higher number = higher priority)
 const NOTIFICATION_LEVELS = {
@@ -71,6 +73,71 @@ async function updateNotificationLevelFromConfig() {
     }
 }
 
+// Apply display settings from config to the renderers
+// albumArtDiskCache keeps downloaded album art next to the plugin across restarts,
+// theme is the global key theme (see themes.js), iconPack the control key icons of keys without
+// their own pack, fontFamily the text font of keys without their own; icon packs and font files
+// are looked up again, so added files show without a restart
+async function updateDisplaySettingsFromConfig() {
+    try {
+        const config = await plugin.getConfig() || {};
+        renderPool.configure({
+            albumArtDiskCacheDir: config.albumArtDiskCache ? ALBUM_ART_DISK_CACHE_DIR : null,
+            fontsDir: FONTS_DIR
+        });
+
+        const previousFontFamily = getGlobalFontFamily();
+        const fontChanged = setGlobalFontFamily(config.fontFamily) !== previousFontFamily;
+        const previousTheme = getGlobalTheme();
+        const iconsChanged = await refreshIconPacks(config);
+        const themeChanged = setGlobalTheme(config.theme) !== previousTheme;
+        if (themeChanged) {
+            logger.info(`Key theme changed to ${getGlobalTheme()}`);
+        }
+        if (themeChanged || iconsChanged || fontChanged) {
+            updateAllActiveKeys();
+        }
+    } catch (error) {
+        logger.error('Failed to update display settings from config:', error.message);
+    }
+}
+
+// Look up the icon packs again and apply the global pack, true if any key icon may have changed
+async function refreshIconPacks(config) {
+    const getSignature = () => JSON.stringify({ pack: iconPacks.globalPack, packs: Array.from(iconPacks.packs.values()) });
+    const previousSignature = getSignature();
+    await iconPacks.scan(ICON_PACKS_DIR);
+    iconPacks.setGlobalPack(config.iconPack);
+    return getSignature() !== previousSignature;
+}
+
+// Function to sync player targets (host/port/protocol, saved tokens) from config
+// Reconnects real-time updates for targets whose server address changed while connected
+async function updateServerConfigFromConfig() {
+    try {
+        const config = await plugin.getConfig() || {};
+        const changedTargets = playerTargets.syncFromConfig(config);
+
+        for (const target of changedTargets) {
+            if (!target.state.realTimeConnected) continue;
+
+            logger.info(`Companion Server address changed for ${target}, reconnecting real-time updates...`);
+            target.realtime.disconnect();
+            target.store.update({ realTimeConnected: false });
+            try {
+                await connectToRealTimeUpdates(target);
+                updateAllActiveKeys(target.id);
+            } catch (error) {
+                logger.error(`Failed to reconnect ${target} after address change:`, error.message);
+            }
+        }
+        return changedTargets.length > 0;
+    } catch (error) {
+        logger.error('Failed to update server config from config:', error.message);
+        return false;
+    }
+}
+
 // Helper function to show notifications on Flexbar devices (with level checking)
 function showNotification(serialNumber, message, level = 'error', icon = 'warning') {
     // Check if this notification level should be shown
@@ -98,43 +165,213 @@ function showNotification(serialNumber, message, level = 'error', icon = 'warnin
     }
 }
 
-// Helper function to show error notifications (backwards compatibility)
-function showErrorNotification(serialNumber, message, level = 'error', icon = 'warning') {
-    showNotification(serialNumber, message, level, icon);
+// Helper function to show a failed key action by error type (message, level and icon per type)
+// With the key's target an AuthError starts re-authentication of that target (key presses),
+// without one it only tells the user that authentication is required
+function notifyKeyError(serialNumber, error, action = 'action', target = null) {
+    const actionLabel = action.charAt(0).toUpperCase() + action.slice(1);
+
+    if (error instanceof AuthError) {
+        if (target) {
+            startReauthentication(target, serialNumber).catch(reauthError => {
+                logger.error('Re-authentication after a key error failed:', reauthError.message);
+            });
+        } else {
+            showNotification(serialNumber, `Auth required for ${action}`, 'warning', 'warning');
+        }
+    } else if (error instanceof ServerUnreachableError) {
+        showNotification(serialNumber, 'YouTube Music offline', 'warning', 'wifi-off');
+    } else if (error instanceof RateLimitedError) {
+        showNotification(serialNumber, `Rate limited, retry in ${Math.ceil(error.retryAfterMs / 1000)}s`, 'warning', 'timer-sand');
+    } else if (error instanceof TimeoutError) {
+        showNotification(serialNumber, `${actionLabel} timed out`, 'warning', 'timer-sand');
+    } else if (error instanceof UnsupportedCommandError) {
+        showNotification(serialNumber, `${actionLabel} not supported by this YTMD version`, 'warning', 'warning');
+    } else if (error instanceof CommandRejectedError) {
+        showNotification(serialNumber, `${actionLabel} rejected (${error.statusCode})`, 'error', 'warning');
+    } else {
+        showNotification(serialNumber, `${actionLabel} failed: ${error.message}`, 'error', 'warning');
+    }
 }
 
-// Helper function to show authentication error notifications
-function showAuthError(serialNumber, action = 'action') {
-    const message = `Auth required for ${action}`;
-    showNotification(serialNumber, message, 'warning', 'warning');
+// Initialize handler modules with the player targets
+keyHandler.initializeAllModules(playerTargets, showNotification, notifyKeyError);
+
+// Redraw a target's keys when its circuit breaker opens or closes
+playerTargets.onOfflineChange((target, isOffline) => {
+    if (isOffline) {
+        showNotification(null, `YouTube Music offline (${target.name})`, 'warning', 'warning');
+    } else {
+        showNotification(null, `YouTube Music back online (${target.name})`, 'info', 'check-circle');
+    }
+    updateAllActiveKeys(target.id);
+});
+
+// Put a target's keys into the "Re-auth required" state when its token was revoked
+playerTargets.onAuthStateChange((target, isAuthenticated, reason) => {
+    if (!isAuthenticated && reason === 'revoked') {
+        showNotification(null, `YouTube Music access was revoked (${target.name}). Press a key to re-authenticate.`, 'warning', 'warning');
+    }
+    updateAllActiveKeys(target.id);
+});
+
+// Disable or re-enable keys when a target's supported commands change
+playerTargets.onCapabilitiesChange((target, capabilities) => {
+    const warning = getCompatibilityWarning(capabilities);
+    if (warning) {
+        showNotification(null, `${target.name}: ${warning}`, 'error', 'warning');
+    }
+    updateAllActiveKeys(target.id);
+});
+
+// Tell the user when a target falls back to REST polling and when the socket is back
+playerTargets.onTransportChange((target, transport) => {
+    if (transport === 'polling') {
+        showNotification(null, `Real-time updates unavailable, polling YouTube Music (${target.name})`, 'warning', 'warning');
+    } else if (transport === 'socket') {
+        // Reconnected (possibly after a long outage), the connect handler already requested fresh state
+        logger.info(`Real-time updates active for ${target}`);
+        updateAllActiveKeys(target.id);
+    }
+});
+
+// Redraw only the keys that show a value that changed (see keyDependencies.js)
+playerTargets.onStateChange((target, state, previousState) => {
+    const changed = getChangedDependencies(state, previousState);
+    if (changed.length > 0) {
+        updateAllActiveKeys(target.id, changed);
+    }
+});
+
+// Move progress bars and time text between server updates with each target's progress clock
+// (see progressClock.js): keys showing the position are redrawn at their own interpolation interval.
+// The timer only runs while an active key interpolates the position.
+const PROGRESS_TICK_MS = 250;
+const lastProgressTicks = new Map(); // keyId -> time of the key's last interpolated redraw
+let progressTimer = null;
+
+function isInterpolatingKey(key) {
+    return !!key && key.data?.enableInterpolation !== false && !!getKeyDependencies(key)?.includes('progress');
+}
+
+function tickProgress() {
+    const now = Date.now();
+    playerTargets.getAllTargets()
+        .filter(target => target.clock.isRunning() && !target.state.offline)
+        .forEach(target => updateAllActiveKeys(target.id, ['progress'], (keyId, key) => {
+            if (key.data?.enableInterpolation === false) return false;
+            const intervalMs = Math.max(PROGRESS_TICK_MS, parseInt(key.data?.interpolationIntervalMs, 10) || 1000);
+            if (now - (lastProgressTicks.get(keyId) || 0) < intervalMs) return false;
+            lastProgressTicks.set(keyId, now);
+            return true;
+        }));
 }
 
-// Initialize handler modules with the instances
-keyHandler.initializeAllModules(ytMusicAuth, ytMusicApi, currentPlaybackState, showNotification, showAuthError);
+/**
+ * Start the progress timer with the first interpolating key, stop it when the last one is gone
+ */
+function updateProgressTimer() {
+    const needed = Object.keys(keyManager.activeKeys)
+        .some(keyId => isInterpolatingKey(keyManager.keyData[keyId.split('-')[1]]));
+    if (needed && !progressTimer) {
+        progressTimer = setInterval(tickProgress, PROGRESS_TICK_MS);
+        logger.debug('Progress timer started');
+    } else if (!needed && progressTimer) {
+        stopProgressTimer();
+        logger.debug('Progress timer stopped, no key interpolates the position');
+    }
+}
 
-// Helper to update currentPlaybackState from trackData
-function updateCurrentPlaybackStateFromTrack(trackData) {
-    if (!trackData) return;
-    
-    const oldVolume = currentPlaybackState.volume;
-    const oldIsPlaying = currentPlaybackState.isPlaying;
-    
-    currentPlaybackState.currentTrack = trackData;
-    currentPlaybackState.isPlaying = trackData.isPlaying || false;
-    currentPlaybackState.progress = trackData.progress || 0;
-    currentPlaybackState.duration = trackData.duration || 0;
-    currentPlaybackState.likeStatus = trackData.likeStatus;
-    currentPlaybackState.lastUpdate = Date.now();
-    currentPlaybackState.repeatMode = trackData.repeatMode || -1;
-    currentPlaybackState.volume = trackData.volume || 50;
-    
-    // Log significant changes
-    if (oldVolume !== currentPlaybackState.volume) {
-        logger.debug(`Volume changed: ${oldVolume} -> ${currentPlaybackState.volume}`);
+function stopProgressTimer() {
+    clearInterval(progressTimer);
+    progressTimer = null;
+    lastProgressTicks.clear();
+}
+
+// A removed key's redraw time goes with it, the timer stops with the last interpolating key
+keyManager.onKeyCleanup((serialNumber, keyUid, keyId) => {
+    lastProgressTicks.delete(keyId);
+    updateProgressTimer();
+});
+
+// Mute toggle keys keep their own on/off state, follow mutes done in YTMD itself
+// (the redraw comes from the isMuted dependency)
+playerTargets.onPlayerEvent(PLAYER_EVENTS.MUTE_CHANGED, (target, event) => {
+    if (event.next === null) return;
+    forEachActiveKey(target.id, 'at.mrcode.ytmd.mutetoggle', (serialNumber, key) => {
+        key.data.currentState = event.next ? 1 : 0;
+    });
+});
+
+// Redraw the approval code countdown on a target's keys every second while it waits for approval
+const authCountdownTimers = new Map();
+playerTargets.onAuthProgress((target, pendingAuth) => {
+    clearInterval(authCountdownTimers.get(target.id));
+    authCountdownTimers.delete(target.id);
+
+    if (pendingAuth) {
+        showNotification(null, `Approve code ${pendingAuth.code} in YouTube Music Desktop App (${target.name})`, 'info', 'information');
+        authCountdownTimers.set(target.id, setInterval(() => updateAllActiveKeys(target.id), 1000));
+    }
+    updateAllActiveKeys(target.id);
+});
+
+// One-press re-authentication from a key in the "Re-auth required" state
+// With resetToken the current token is dropped first (long press on the connection key)
+async function startReauthentication(target, serialNumber, resetToken = false) {
+    if (target.auth.authenticationInProgress) {
+        showNotification(serialNumber, 'Approve the request in YouTube Music Desktop App', 'info', 'information');
+        return;
+    }
+
+    if (resetToken) {
+        await target.auth.resetAuthentication();
+    }
+
+    logger.info(`Starting re-authentication for ${target} from key press`);
+    showNotification(serialNumber, `Approve the request in YouTube Music Desktop App (${target.name})`, 'info', 'information');
+
+    const result = await target.auth.startAuthenticationFlow();
+    if (result.cancelled) {
+        updateAllActiveKeys(target.id);
+        return;
     }
-    if (oldIsPlaying !== currentPlaybackState.isPlaying) {
-        logger.debug(`Play state changed: ${oldIsPlaying} -> ${currentPlaybackState.isPlaying}`);
+    if (!result.success) {
+        showNotification(serialNumber, `Re-authentication failed: ${result.error}`, 'error', 'warning');
+        return;
+    }
+
+    showNotification(serialNumber, `Re-authenticated with YouTube Music (${target.name})`, 'info', 'check-circle');
+    try {
+        await connectToRealTimeUpdates(target);
+    } catch (error) {
+        logger.error(`Failed to reconnect real-time updates for ${target} after re-authentication:`, error.message);
     }
+    updateAllActiveKeys(target.id);
+}
+
+// Call back with (serialNumber, key) for every active key of a type routed to a target
+function forEachActiveKey(targetId, cid, callback) {
+    Object.keys(keyManager.activeKeys).forEach(keyId => {
+        const [serialNumber, keyUid] = keyId.split('-');
+        const key = keyManager.keyData[keyUid];
+        if (!key || key.cid !== cid || !key.data) return;
+        if (playerTargets.getTargetForKey(key).id !== targetId) return;
+        callback(serialNumber, key);
+    });
+}
+
+// Get the targets that have at least one active key routed to them
+function getTargetsWithActiveKeys() {
+    const targetIds = new Set();
+    Object.keys(keyManager.activeKeys).forEach(keyId => {
+        const [, keyUid] = keyId.split('-');
+        const key = keyManager.keyData[keyUid];
+        if (key) {
+            targetIds.add(playerTargets.getTargetForKey(key).id);
+        }
+    });
+    return playerTargets.getAllTargets().filter(target => targetIds.has(target.id));
 }
 
 // Plugin event handlers
@@ -152,31 +389,48 @@ function _handleDeviceStatus(devices) {
     });
 
     // Disconnect real-time updates if no devices connected
-    if (connectedSerialNumbers.length === 0 && ytMusicRealtime.getConnectionStatus().isConnected) {
-        logger.info('No devices connected, disconnecting from real-time updates');
-        ytMusicRealtime.disconnect();
-        currentPlaybackState.realTimeConnected = false;
+    if (connectedSerialNumbers.length === 0) {
+        playerTargets.getAllTargets().forEach(target => {
+            if (target.realtime.getConnectionStatus().isConnected) {
+                logger.info(`No devices connected, disconnecting ${target} from real-time updates`);
+                target.realtime.disconnect();
+                target.store.update({ realTimeConnected: false });
+            }
+        });
     }
 }
 
 function _handlePluginAlive(payload) {
     logger.info('Processing plugin.alive:', payload);
 
+    const serialNumber = String(payload.serialNumber);
+    const incomingKeys = payload.keys || [];
+
+    // The device shows a fresh page, identical frames must be sent again
+    keyManager.resetDrawCache(serialNumber);
+
     // initialize or update authentication first
     logger.info('Initializing YouTube Music authentication from config...');
     plugin.getConfig().then(async config => {
-        if (config && config.isAuthenticated && config.token && config.appId) {
-            logger.info('Found saved authentication data, setting token...');
-            ytMusicApi.setToken(config.token, config.appId);
-            ytMusicApi.isAuthenticated = true;
-            ytMusicAuth.isAuthenticated = true;
-            logger.info('Authentication initialized from saved config');
+        // Sync targets (server address and saved tokens) from config
+        playerTargets.syncFromConfig(config || {});
+
+        // Only connect the targets that keys on this device are routed to
+        const usedTargets = new Set(incomingKeys.map(key => playerTargets.getTargetForKey(key)));
+
+        for (const target of usedTargets) {
+            if (!target.auth.getAuthenticationStatus()) {
+                logger.info(`No valid authentication data found in config for ${target}`);
+                continue;
+            }
+
+            logger.info(`Authentication initialized from saved config for ${target}`);
             
             // Try to establish real-time connection early if we have authentication
             try {
-                if (!currentPlaybackState.realTimeConnected) {
-                    logger.info('Authentication detected, establishing real-time connection...');
-                    await connectToRealTimeUpdates();
+                if (!target.state.realTimeConnected) {
+                    logger.info(`Authentication detected, establishing real-time connection to ${target}...`);
+                    await connectToRealTimeUpdates(target);
                     logger.info('Real-time connection established during initialization');
                 } else {
                     logger.info('Real-time connection already established');
@@ -185,15 +439,11 @@ function _handlePluginAlive(payload) {
                 logger.error('Failed to establish real-time connection during initialization:', error.message);
                 logger.error('Real-time connection error details:', error);
             }
-        } else {
-            logger.info('No valid authentication data found in config');
         }
     }).catch(error => {
         logger.error('Error initializing authentication:', error.message);
     });
 
-    const serialNumber = String(payload.serialNumber);
-    const incomingKeys = payload.keys || [];
     const incomingKeyUids = new Set(incomingKeys.map(k => k.uid).filter(uid => uid !== undefined && uid !== null));
 
     logger.debug(`Handler received ${incomingKeys.length} keys for device ${serialNumber}. UIDs: ${Array.from(incomingKeyUids)}`);
@@ -227,6 +477,9 @@ function _handlePluginAlive(payload) {
             continue;
         }
 
+        // Keys saved before themes existed hold the old default colors, those follow the theme
+        key.data = migrateColorSettings(key.data, key.style);
+
         const keyId = `${serialNumber}-${key.uid}`;
         const isActive = keyManager.activeKeys[keyId];
 
@@ -281,6 +534,9 @@ function _handlePluginAlive(payload) {
                 case 'at.mrcode.ytmd.volumedown':
                     initPromises.push(keyHandler.initializeVolumeDownKey(serialNumber, key));
                     break;
+                case 'at.mrcode.ytmd.connection':
+                    initPromises.push(keyHandler.initializeConnectionKey(serialNumber, key));
+                    break;
                 case 'at.mrcode.ytmd.volumeslider':
                     initPromises.push(keyHandler.initializeVolumeSliderKey(serialNumber, key));
                     break;
@@ -290,23 +546,25 @@ function _handlePluginAlive(payload) {
         }
     }
 
-        // Connect to real-time updates if we have any YouTube Music keys and authentication
+        // Connect to real-time updates for every target that YouTube Music keys are routed to
         // This ensures we get real-time state for all keys
-        const hasYouTubeMusicKeys = incomingKeys.some(key => 
-            key.cid.includes('at.mrcode.ytmd.')
-        );
+        const keyTargets = new Set(incomingKeys
+            .filter(key => key.cid.includes('at.mrcode.ytmd.'))
+            .map(key => playerTargets.getTargetForKey(key)));
         
-        if (hasYouTubeMusicKeys && ytMusicAuth.getAuthenticationStatus() && !currentPlaybackState.realTimeConnected) {
-            logger.info('YouTube Music keys detected, connecting to real-time updates for live state');
-            connectToRealTimeUpdates().then(() => {
+        keyTargets.forEach(target => {
+            if (!target.auth.getAuthenticationStatus() || target.state.realTimeConnected) return;
+
+            logger.info(`YouTube Music keys detected, connecting to real-time updates of ${target} for live state`);
+            connectToRealTimeUpdates(target).then(() => {
                 logger.info('Real-time updates connected for device:', serialNumber);
                 // Immediate update of all keys with current real-time state
-                updateAllActiveKeys();
+                updateAllActiveKeys(target.id);
             }).catch(error => {
                 logger.error('Failed to connect to real-time updates:', error.message);
-                showNotification(serialNumber, `Failed to connect to real-time updates: ${error.message}`, 'error', 'warning');
+                showNotification(serialNumber, `Failed to connect to real-time updates (${target.name}): ${error.message}`, 'error', 'warning');
             });
-        }
+        });
 
         Promise.all(initPromises).then(() => {
             logger.info(`All keys initialized for device ${serialNumber}.`);
@@ -314,7 +572,7 @@ function _handlePluginAlive(payload) {
         }).catch(error => {
             logger.error(`Error initializing keys for device ${serialNumber}:`, error.message);
             showNotification(serialNumber, `Error initializing keys for device ${serialNumber}: ${error.message}`, 'error', 'warning');
-        });
+        }).finally(updateProgressTimer);
 
         logger.debug(`Finished processing keys for device ${serialNumber}.`);
     }
@@ -342,11 +600,36 @@ function _handlePluginData(payload) {
 
     if (!keyManager.keyData[keyUid]) {
         logger.warn(`Data for key ${keyUid} was missing, using received data.`);
-        keyManager.keyData[keyUid] = key;
+        keyManager.keyData[keyUid] = { ...key, data: migrateColorSettings(key.data, key.style) };
     }
+    updateProgressTimer();
 
     logger.info(`Handling interaction for key ${key.cid} (${keyId})`);
 
+    // While a code waits for approval every key acts as the cancel button
+    const pendingTargets = playerTargets.getAllTargets().filter(target => target.auth.getPendingAuth());
+    if (pendingTargets.length > 0) {
+        pendingTargets.forEach(target => target.auth.cancelAuthenticationFlow());
+        showNotification(serialNumber, 'Authentication cancelled', 'info', 'information');
+        return;
+    }
+
+    // Any key of a target whose token was revoked acts as the re-authenticate button
+    const target = playerTargets.getTargetForKey(keyManager.keyData[keyUid]);
+    if (target.state.reauthRequired) {
+        startReauthentication(target, serialNumber).catch(error => {
+            logger.error('Re-authentication from key press failed:', error.message);
+        });
+        return;
+    }
+
+    // Keys whose commands the connected YTMD version doesn't support are disabled
+    if (!isKeySupported(target.api.getCapabilities(), key.cid)) {
+        logger.info(`Ignoring interaction for key ${keyId}, not supported by ${target}`);
+        showNotification(serialNumber, `Not supported by this YTMD version (${target.name})`, 'warning', 'warning');
+        return;
+    }
+
     // Handle different key types
     switch (key.cid) {
         case 'at.mrcode.ytmd.nowplaying':
@@ -397,19 +680,28 @@ function _handlePluginData(payload) {
         case 'at.mrcode.ytmd.volumeslider':
             keyHandler.handleVolumeSliderInteraction(serialNumber, key, data);
             break;
+        case 'at.mrcode.ytmd.connection':
+            if (keyHandler.isLongPress(data)) {
+                startReauthentication(target, serialNumber, true).catch(error => {
+                    logger.error('Re-authentication from connection key failed:', error.message);
+                });
+            } else {
+                keyHandler.handleConnectionKeyInteraction(serialNumber, key, data);
+            }
+            break;
     }
 }
 
 // Real-time connection management
-async function connectToRealTimeUpdates() {
-    logger.info('connectToRealTimeUpdates() called');
+async function connectToRealTimeUpdates(target = playerTargets.getDefaultTarget()) {
+    logger.info(`connectToRealTimeUpdates() called for ${target}`);
     
-    if (!ytMusicAuth.getAuthenticationStatus()) {
+    if (!target.auth.getAuthenticationStatus()) {
         logger.error('Not authenticated, cannot connect to real-time updates');
-        throw new Error('Not authenticated');
+        throw new AuthError('Not authenticated');
     }
     
-    if (!ytMusicApi.getToken()) {
+    if (!target.api.getToken()) {
         logger.error('No token available, cannot connect to real-time updates');
         throw new Error('No token available');
     }
@@ -417,109 +709,115 @@ async function connectToRealTimeUpdates() {
     logger.info('Checking current real-time connection status...');
     
     try {
-        if (currentPlaybackState.realTimeConnected) {
+        if (target.state.realTimeConnected) {
             // Verify the connection is actually working
-            const connectionStatus = ytMusicRealtime.getConnectionStatus();
+            const connectionStatus = target.realtime.getConnectionStatus();
             logger.info('Current connection status:', connectionStatus);
             if (connectionStatus.isConnected) {
                 logger.debug('Real-time updates already connected and verified');
                 return;
             } else {
                 logger.warn('Real-time connection marked as connected but socket is not active, reconnecting...');
-                currentPlaybackState.realTimeConnected = false;
+                target.store.update({ realTimeConnected: false });
             }
         }
 
+        // Register for state updates - this is our primary data source
+        // Only once per target, the realtime client keeps its callbacks across reconnects
+        // and also feeds them from REST polling while the socket is down
+        if (!target.stateCallbackRegistered) {
+            target.realtime.onStateUpdate((formattedState, rawState) => {
+                logger.debug('Real-time state update callback triggered');
+                handleRealTimeStateUpdate(target, formattedState, rawState);
+            });
+            target.stateCallbackRegistered = true;
+            logger.info('Real-time state update callback registered');
+        }
+
+        // Read the server's API versions and commands so unsupported keys can be disabled
+        await target.api.checkServerStatus();
+
         logger.info('Establishing YouTube Music real-time connection...');
-        await ytMusicRealtime.connect();
-        currentPlaybackState.realTimeConnected = true;
+        await target.realtime.connect();
+        target.store.update({ realTimeConnected: true });
         logger.info('Real-time connection established successfully');
-
-        // Register for state updates - this is our primary data source
-        ytMusicRealtime.onStateUpdate((formattedState, rawState) => {
-            logger.debug('Real-time state update callback triggered');
-            handleRealTimeStateUpdate(formattedState, rawState);
-        });
-        
-        logger.info('Real-time state update callback registered');
         
         // Initial state will be requested via REST API by the connection handler
         // Socket.IO will then provide real-time updates via events (state-update, etc.)
         
     } catch (error) {
+        // Keys keep updating from REST polling, the socket is retried in the background
+        if (!(error instanceof AuthError) && target.realtime.isPolling()) {
+            logger.warn(`Real-time socket for ${target} failed, using REST polling until it reconnects:`, error.message);
+            target.store.update({ realTimeConnected: false });
+            return;
+        }
+
         logger.error('Failed to establish real-time connection:', error.message);
         logger.error('Real-time connection error stack:', error.stack);
-        currentPlaybackState.realTimeConnected = false;
-        showNotification(null, `Real-time connection failed: ${error.message}`, 'error', 'warning');
+        target.store.update({ realTimeConnected: false });
+        showNotification(null, `Real-time connection failed (${target.name}): ${error.message}`, 'error', 'warning');
         throw error;
     }
 }
 
 // Helper function to ensure real-time connection is active
-async function ensureRealTimeConnection() {
-    if (!ytMusicAuth.getAuthenticationStatus()) {
+async function ensureRealTimeConnection(target = playerTargets.getDefaultTarget()) {
+    if (!target.auth.getAuthenticationStatus()) {
         logger.debug('Not authenticated, cannot establish real-time connection');
         return false;
     }
 
     // Check if connection is marked as active
-    if (currentPlaybackState.realTimeConnected) {
+    if (target.state.realTimeConnected) {
         // Verify the connection is actually working
-        const connectionStatus = ytMusicRealtime.getConnectionStatus();
+        const connectionStatus = target.realtime.getConnectionStatus();
         if (connectionStatus.isConnected) {
             // Connection is good, don't try to refresh state here to avoid timeout loops
             return true;
         } else {
             logger.warn('Real-time connection marked as connected but socket is not active');
-            currentPlaybackState.realTimeConnected = false;
+            target.store.update({ realTimeConnected: false });
         }
     }
 
     // Connection is not active or broken, establish new connection
     try {
-        await connectToRealTimeUpdates();
-        return currentPlaybackState.realTimeConnected;
+        await connectToRealTimeUpdates(target);
+        return target.state.realTimeConnected;
     } catch (error) {
         logger.error('Failed to ensure real-time connection:', error.message);
         return false;
     }
 }
 
-// Always use real-time state for playback info
-function getCurrentPlaybackState() {
-    // Use the last state from the real-time connection if available and recent
-    const lastState = ytMusicRealtime.getLastState();
-    if (lastState && ytMusicRealtime.hasRecentState(30000)) {
-        return lastState;
-    }
-    
-    // Fallback to the old state if real-time is not available or stale
-    return currentPlaybackState;
+// A target's playback state, the same object every key handler reads
+function getCurrentPlaybackState(target = playerTargets.getDefaultTarget()) {
+    return target.state;
 }
 
 // Enhanced state fetcher that prioritizes real-time data
-async function getCurrentTrackState() {
-    // Always prefer real-time data if connected
-    if (currentPlaybackState.realTimeConnected) {
-        // Use cached real-time data first (Socket.IO API only sends updates, no requests)
-        const lastState = ytMusicRealtime.getLastState();
-        if (lastState && ytMusicRealtime.hasRecentState(30000)) {
-            logger.debug('Using recent real-time track state');
-            return lastState;
+async function getCurrentTrackState(target = playerTargets.getDefaultTarget()) {
+    // Always prefer real-time data if connected (socket or REST polling fallback)
+    if (target.state.realTimeConnected || target.realtime.isPolling()) {
+        // Use the store first (Socket.IO API only sends updates, no requests)
+        if (target.state.currentTrack && target.store.isFresh(30000)) {
+            logger.debug(`Using recent ${target.state.source} track state`);
+            return target.state.currentTrack;
         }
         
         logger.debug('Real-time connected but no recent state, falling back to API');
     }
 
     // Fallback: direct API call (has rate limits)
-    if (ytMusicAuth.getAuthenticationStatus()) {
+    if (target.auth.getAuthenticationStatus()) {
         try {
             logger.debug('Fetching track state from direct API (rate limited)');
-            const state = await ytMusicApi.getCurrentState();
-            const trackData = ytMusicApi.formatTrackState(state);
+            const state = await target.api.getCurrentState();
+            const trackData = target.api.formatTrackState(state);
             
             if (trackData) {
-                updateCurrentPlaybackStateFromTrack(trackData);
+                target.store.setTrack(trackData, STATE_SOURCES.REST);
                 return trackData;
             }
         } catch (error) {
@@ -531,28 +829,61 @@ async function getCurrentTrackState() {
 }
 
 // Handle real-time state updates
-function handleRealTimeStateUpdate(formattedState, rawState) {
-    logger.debug('Handling real-time state update:', {
+function handleRealTimeStateUpdate(target, formattedState, rawState) {
+    logger.debug(`Handling real-time state update for ${target.id}:`, {
         title: formattedState?.title,
         isPlaying: formattedState?.isPlaying,
         volume: formattedState?.volume,
         progress: formattedState?.progress
     });
 
-    // Use the helper function to update currentPlaybackState comprehensively
-    updateCurrentPlaybackStateFromTrack(formattedState);
-
-    // Update all active keys with the new state
-    updateAllActiveKeys();
+    // Polled states come from GET /state while the socket is down
+    // Keys showing a changed value are redrawn by the onStateChange listener
+    const source = target.realtime.isPolling() ? STATE_SOURCES.REST : STATE_SOURCES.REALTIME;
+    target.store.setTrack(formattedState, source);
 }
 
 // Update all active keys with current state
-function updateAllActiveKeys() {
+// If targetId is given, only keys routed to that target are updated,
+// if changedDependencies is given, only keys depending on one of them,
+// if keyFilter is given, only keys for which keyFilter(keyId, key) returns true
+function updateAllActiveKeys(targetId = null, changedDependencies = null, keyFilter = null) {
     Object.keys(keyManager.activeKeys).forEach(keyId => {
         const [serialNumber, keyUid] = keyId.split('-');
         const key = keyManager.keyData[keyUid];
 
         if (!key) return;
+        const target = playerTargets.getTargetForKey(key);
+        if (targetId && target.id !== targetId) return;
+        if (changedDependencies && !shouldRedrawKey(key, changedDependencies)) return;
+        if (keyFilter && !keyFilter(keyId, key)) return;
+
+        // The connection key shows all of these states itself
+        if (key.cid === 'at.mrcode.ytmd.connection') {
+            keyHandler.updateConnectionKeyDisplay(serialNumber, key);
+            return;
+        }
+
+        // Unsupported keys, sliders too, are shown disabled
+        if (!isKeySupported(target.api.getCapabilities(), key.cid)) {
+            keyHandler.updateUnsupportedKeyDisplay(serialNumber, key);
+            return;
+        }
+
+        // Sliders keep their last value, every other key shows the approval code, re-auth or offline state
+        const isSlider = ['at.mrcode.ytmd.seekslider', 'at.mrcode.ytmd.volumeslider'].includes(key.cid);
+        if (target.auth.getPendingAuth() && !isSlider) {
+            keyHandler.updateAuthCodeKeyDisplay(serialNumber, key);
+            return;
+        }
+        if (target.state.reauthRequired && !isSlider) {
+            keyHandler.updateReauthKeyDisplay(serialNumber, key);
+            return;
+        }
+        if (target.state.offline && !isSlider) {
+            keyHandler.updateOfflineKeyDisplay(serialNumber, key);
+            return;
+        }
 
         switch (key.cid) {
             case 'at.mrcode.ytmd.nowplaying':
@@ -612,22 +943,34 @@ plugin.on('ui.message', async (payload) => {
     logger.info('Received message from UI:', payload);
 
     try {
+        // Pick up targets added or changed in the settings page, then resolve the requested one
+        await updateServerConfigFromConfig();
+        const target = playerTargets.getTarget(payload.targetId);
+
         switch (payload.data) {
             case 'ytmusic-auth':
-                const result = await ytMusicAuth.startAuthenticationFlow();
+                const result = await target.auth.startAuthenticationFlow();
                 if (result.success) {
-                    showNotification(null, result.message || 'Authentication successful!', 'info', 'check-circle');
+                    showNotification(null, result.message || `Authentication successful (${target.name})!`, 'info', 'check-circle');
+                } else if (result.cancelled) {
+                    showNotification(null, `Authentication cancelled (${target.name})`, 'info', 'information');
                 } else {
                     showNotification(null, result.error || 'Authentication failed', 'error', 'warning');
                 }
                 return result;
 
+            case 'ytmusic-auth-status':
+                return { success: true, ...target.auth.getAuthInfo() };
+
+            case 'ytmusic-auth-cancel':
+                return { success: target.auth.cancelAuthenticationFlow() };
+
             case 'ytmusic-disconnect':
-                await ytMusicAuth.clearAuthentication();
-                ytMusicRealtime.disconnect();
-                currentPlaybackState.realTimeConnected = false;
+                await target.auth.clearAuthentication();
+                target.realtime.disconnect();
+                target.store.update({ realTimeConnected: false });
                 showNotification(null, 'Disconnected from YouTube Music', 'info', 'check-circle');
-                const testResult = await ytMusicAuth.testAuthentication();
+                const testResult = await target.auth.testAuthentication();
                 if (testResult.success) {
                     showNotification(null, 'Authentication test successful!', 'info', 'check-circle');
                 } else {
@@ -637,10 +980,16 @@ plugin.on('ui.message', async (payload) => {
 
             case 'ytmusic-check-server':
                 try {
-                    const serverRunning = await ytMusicApi.checkServerStatus();
+                    const serverRunning = await target.api.checkServerStatus();
                     if (serverRunning) {
-                        showNotification(null, 'YouTube Music Desktop App companion server is running', 'info', 'check-circle');
-                        return { success: true, message: 'YouTube Music Desktop App companion server is running' };
+                        const capabilities = target.api.getCapabilities();
+                        const warning = getCompatibilityWarning(capabilities);
+                        if (warning) {
+                            showNotification(null, warning, 'warning', 'warning');
+                        } else {
+                            showNotification(null, 'YouTube Music Desktop App companion server is running', 'info', 'check-circle');
+                        }
+                        return { success: true, message: 'YouTube Music Desktop App companion server is running', capabilities, warning };
                     } else {
                         showNotification(null, 'YouTube Music Desktop App companion server is not running', 'warning', 'warning');
                         return { success: false, error: 'YouTube Music Desktop App companion server is not running' };
@@ -651,7 +1000,8 @@ plugin.on('ui.message', async (payload) => {
                 }
 
             case 'update-log-level':
-                logger.updateLogLevelFromConfig();
+                await logger.updateLogLevelFromConfig();
+                renderPool.setLogLevel(logger.getLogLevel());
                 await updateNotificationLevelFromConfig();
                 return { success: true };
 
@@ -659,26 +1009,63 @@ plugin.on('ui.message', async (payload) => {
                 await updateNotificationLevelFromConfig();
                 return { success: true };
 
+            case 'update-display-settings':
+                await updateDisplaySettingsFromConfig();
+                return { success: true };
+
+            case 'list-fonts':
+                // Registers font files added since the last call in every render thread
+                renderPool.configure({ fontsDir: FONTS_DIR });
+                return { success: true, data: listFontFamilies() };
+
+            case 'list-icon-packs':
+                if (await refreshIconPacks(await plugin.getConfig() || {})) {
+                    updateAllActiveKeys();
+                }
+                return { success: true, data: iconPacks.list() };
+
+            case 'update-server-config':
+                // Targets were already synced from config above
+                return { success: true, data: target.api.getServerConfig() };
+
+            case 'list-player-targets':
+                return {
+                    success: true,
+                    data: playerTargets.getAllTargets().map(playerTarget => ({
+                        id: playerTarget.id,
+                        name: playerTarget.name,
+                        server: playerTarget.api.getServerConfig(),
+                        isAuthenticated: playerTarget.auth.getAuthenticationStatus(),
+                        realTimeConnected: playerTarget.realtime.getConnectionStatus().isConnected,
+                        connection: playerTarget.realtime.getReconnectStatus(),
+                        capabilities: playerTarget.api.getCapabilities(),
+                        compatibilityWarning: getCompatibilityWarning(playerTarget.api.getCapabilities())
+                    }))
+                };
+
+            case 'get-connection-status':
+                return { success: true, data: target.realtime.getReconnectStatus() };
+
             case 'ytmusic-test-realtime':
                 try {
-                    if (!ytMusicAuth.getAuthenticationStatus()) {
+                    if (!target.auth.getAuthenticationStatus()) {
                         showNotification(null, 'Not authenticated with YouTube Music', 'warning', 'warning');
                         return { success: false, error: 'Not authenticated' };
                     }
 
                     // Get realtime connection status
-                    const connectionStatus = ytMusicRealtime.getConnectionStatus();
+                    const connectionStatus = target.realtime.getConnectionStatus();
 
                     // Try to get current state data
                     let currentState = null;
-                    if (connectionStatus.isConnected && connectionStatus.lastState) {
-                        currentState = connectionStatus.lastState;
+                    if (connectionStatus.isConnected && target.state.currentTrack) {
+                        currentState = target.state.currentTrack;
                         showNotification(null, 'Real-time connection test successful!', 'info', 'check-circle');
                     } else if (connectionStatus.isConnected) {
                         // If connected but no state yet, try to fetch current state
 
                         try {
-                            const stateResult = await ytMusicApi.getCurrentState();
+                            const stateResult = await target.api.getCurrentState();
                             if (stateResult.success) {
                                 currentState = stateResult.data;
                                 showNotification(null, 'Real-time connection test successful!', 'info', 'check-circle');
@@ -706,7 +1093,7 @@ plugin.on('ui.message', async (payload) => {
                         success: false,
                         error: `Real-time test failed: ${error.message}`,
                         data: {
-                            connectionStatus: ytMusicRealtime.getConnectionStatus(),
+                            connectionStatus: target.realtime.getConnectionStatus(),
                             currentState: null,
                             timestamp: Date.now()
                         }
@@ -715,13 +1102,13 @@ plugin.on('ui.message', async (payload) => {
 
             case 'ytmusic-connect-realtime':
                 try {
-                    if (!ytMusicAuth.getAuthenticationStatus()) {
+                    if (!target.auth.getAuthenticationStatus()) {
                         showNotification(null, 'Not authenticated with YouTube Music', 'warning', 'warning');
                         return { success: false, error: 'Not authenticated' };
                     }
 
                     // Check if already connected
-                    const connectionStatus = ytMusicRealtime.getConnectionStatus();
+                    const connectionStatus = target.realtime.getConnectionStatus();
                     if (connectionStatus.isConnected) {
                         logger.info('Real-time updates already connected');
                         showNotification(null, 'Already connected to real-time updates', 'info', 'info-circle');
@@ -730,9 +1117,9 @@ plugin.on('ui.message', async (payload) => {
 
                     // Connect to real-time updates
 
-                    await connectToRealTimeUpdates();
+                    await connectToRealTimeUpdates(target);
 
-                    if (currentPlaybackState.realTimeConnected) {
+                    if (target.state.realTimeConnected) {
                         logger.info('Successfully connected to real-time updates via UI request');
                         showNotification(null, 'Connected to real-time updates', 'info', 'check-circle');
                         return { success: true, message: 'Connected to real-time updates' };
@@ -750,13 +1137,13 @@ plugin.on('ui.message', async (payload) => {
                 }
 
             case 'get-state':
-                if (!ytMusicAuth.getAuthenticationStatus()) {
+                if (!target.auth.getAuthenticationStatus()) {
                     showNotification(null, 'Not authenticated with YouTube Music', 'warning', 'warning');
                     return { success: false, error: 'Not authenticated' };
                 }
                 
                 try {
-                    const state = await ytMusicApi.getCurrentState();
+                    const state = await target.api.getCurrentState();
                     return { success: true, data: state };
                 } catch (error) {
                     showNotification(null, `Failed to get state: ${error.message}`, 'error', 'warning');
@@ -792,33 +1179,41 @@ plugin.on('ready', async () => {
     logger.info('YouTube Music Plugin ready');
     await logger.updateLogLevelFromConfig();
     await updateNotificationLevelFromConfig();
+    await updateDisplaySettingsFromConfig();
+    await updateServerConfigFromConfig();
     
-    try {
-        logger.info('Attempting to initialize YouTube Music authentication...');
-        const authInitialized = await ytMusicAuth.initializeAuthentication();
+    for (const target of playerTargets.getAllTargets()) {
+        try {
+            logger.info(`Attempting to initialize YouTube Music authentication for ${target}...`);
+            const authInitialized = await target.auth.initializeAuthentication();
 
-        if (authInitialized) {
-            logger.info('YouTube Music authentication initialized successfully');
-            showNotification(null, 'YouTube Music authentication initialized successfully', 'info', 'check-circle');
-        } else {
-            logger.warn('YouTube Music authentication not available. User needs to authenticate manually.');
-            showNotification(null, 'YouTube Music authentication required. Please authenticate in settings.', 'warning', 'warning');
+            if (authInitialized) {
+                logger.info(`YouTube Music authentication initialized successfully for ${target}`);
+                showNotification(null, `YouTube Music authentication initialized successfully (${target.name})`, 'info', 'check-circle');
+            } else {
+                logger.warn(`YouTube Music authentication not available for ${target}. User needs to authenticate manually.`);
+                showNotification(null, `YouTube Music authentication required for ${target.name}. Please authenticate in settings.`, 'warning', 'warning');
+            }
+        } catch (error) {
+            logger.error(`Error during YouTube Music authentication initialization for ${target}:`, error);
+            showNotification(null, `Failed to initialize YouTube Music authentication (${target.name})`, 'error', 'warning');
         }
-    } catch (error) {
-        logger.error('Error during YouTube Music authentication initialization:', error);
-        showNotification(null, 'Failed to initialize YouTube Music authentication', 'error', 'warning');
     }
 });
 
 // Cleanup on exit
 process.on('SIGINT', () => {
     logger.info('Plugin shutting down...');
-    ytMusicRealtime.disconnect();
+    stopProgressTimer();
+    playerTargets.disconnectAll();
+    renderPool.terminate();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     logger.info('Plugin terminating...');
-    ytMusicRealtime.disconnect();
+    stopProgressTimer();
+    playerTargets.disconnectAll();
+    renderPool.terminate();
     process.exit(0);
 });
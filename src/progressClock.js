@@ -0,0 +1,84 @@
+// Progress Clock
+// Estimates the playback position between server updates from the last known videoProgress, when it
+// was received and the play state, so progress bars and time text move smoothly instead of stepping.
+// Small drift against fresh server data is absorbed over DRIFT_CORRECTION_MS (no jumping back),
+// large drift is a seek and snaps. The clock stands still while paused, buffering or playing an ad.
+const logger = require('./loggerwrapper.js');
+const { SEEK_THRESHOLD_SECONDS } = require('./stateEvents.js');
+
+// Time over which a small difference to the server position is caught up
+const DRIFT_CORRECTION_MS = 2000;
+
+class ProgressClock {
+    constructor(name = 'default') {
+        this.name = name;
+        this.anchorProgress = 0; // Seconds at anchorTime
+        this.anchorTime = Date.now();
+        this.correction = 0; // Seconds still to be caught up, spread over DRIFT_CORRECTION_MS
+        this.duration = 0;
+        this.running = false;
+        this.videoId = null;
+    }
+
+    /**
+     * Take a server sample: { progress, duration, isPlaying, isBuffering, adPlaying, videoId }
+     */
+    sync({ progress = 0, duration = 0, isPlaying = false, isBuffering = false, adPlaying = false, videoId = null }, at = Date.now()) {
+        const running = isPlaying && !isBuffering && !adPlaying;
+        const drift = progress - this.getProgress(at);
+        const trackChanged = videoId !== this.videoId;
+
+        // A new track, a seek, or a clock that wasn't running: take the server position as is
+        if (trackChanged || !running || !this.running || Math.abs(drift) >= SEEK_THRESHOLD_SECONDS) {
+            this.anchorProgress = progress;
+            this.correction = 0;
+        } else {
+            // Continue from where the display is and catch up with the server gradually
+            this.anchorProgress = progress - drift;
+            this.correction = drift;
+            if (Math.abs(drift) > 0.25) {
+                logger.debug(`[${this.name}] Progress clock drift ${drift.toFixed(2)}s, correcting`);
+            }
+        }
+
+        this.anchorTime = at;
+        this.duration = duration;
+        this.running = running;
+        this.videoId = videoId;
+    }
+
+    /**
+     * Estimated position in seconds, within [0, duration]
+     */
+    getProgress(at = Date.now()) {
+        let progress = this.anchorProgress;
+        if (this.running) {
+            const elapsedMs = Math.max(0, at - this.anchorTime);
+            progress += elapsedMs / 1000 + this.correction * Math.min(1, elapsedMs / DRIFT_CORRECTION_MS);
+        }
+        progress = Math.max(0, progress);
+        return this.duration > 0 ? Math.min(this.duration, progress) : progress;
+    }
+
+    /**
+     * Whether the position moves (playing, not buffering, no ad)
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Stand still at the current position, for a player target that was removed
+     */
+    dispose() {
+        this.anchorProgress = this.getProgress();
+        this.anchorTime = Date.now();
+        this.correction = 0;
+        this.running = false;
+    }
+}
+
+module.exports = {
+    ProgressClock,
+    DRIFT_CORRECTION_MS
+};
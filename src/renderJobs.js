@@ -0,0 +1,42 @@
+// Render Jobs
+// Cancellation of a running render: renderPool.js marks a replaced job cancelled (in its worker or
+// on the main thread fallback) and canvasRenderer.js checks between expensive steps, so a stale job
+// stops early instead of finishing a frame nobody will see
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * A render job was replaced by a newer one for the same key before its result was used
+ */
+class RenderCancelledError extends Error {
+    constructor(jobKey) {
+        super(`Render job for ${jobKey} was replaced by a newer one`);
+        this.name = 'RenderCancelledError';
+        this.jobKey = jobKey;
+    }
+}
+
+// The job ({ jobKey, cancelled }) the current async call chain renders for
+const currentJob = new AsyncLocalStorage();
+
+/**
+ * Run a render as job, throwIfCancelled() anywhere in it sees the job's cancelled flag
+ */
+function runRenderJob(job, render) {
+    return currentJob.run(job, render);
+}
+
+/**
+ * Throw RenderCancelledError if the job this code renders for was cancelled (no-op outside a job)
+ */
+function throwIfCancelled() {
+    const job = currentJob.getStore();
+    if (job?.cancelled) {
+        throw new RenderCancelledError(job.jobKey);
+    }
+}
+
+module.exports = {
+    RenderCancelledError,
+    runRenderJob,
+    throwIfCancelled
+};
@@ -0,0 +1,249 @@
+// Render Worker Pool
+// Runs canvasRenderer jobs in worker threads (renderWorker.js) so rendering wide now playing
+// keys doesn't delay socket events and key presses. A newer job for the same key cancels the older one,
+// a running one stops at its next cancellation check (see renderJobs.js).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('./loggerwrapper.js');
+const canvasRenderer = require('./canvasRenderer.js');
+const { albumArtCache } = require('./albumArtCache.js');
+const { registerFontFiles } = require('./fonts.js');
+const { RenderCancelledError, runRenderJob } = require('./renderJobs.js');
+
+// canvasRenderer functions a job may call, their arguments must be serializable
+const RENDER_METHODS = [
+    'createYouTubeMusicButtonDataUrl',
+    'createNowPlayingFrame',
+    'createIconKeyDataUrl',
+    'createStatusDataUrl',
+    'createConnectionDataUrl'
+];
+
+// A render worker per spare core, at most two (rendering is bursty, not continuous)
+const DEFAULT_POOL_SIZE = Math.max(1, Math.min(2, os.cpus().length - 1));
+
+// Bundled next to plugin.cjs by rollup, or the source file when running from src/
+const WORKER_FILES = ['renderWorker.cjs', 'renderWorker.js'];
+
+/**
+ * Apply renderer settings in the current thread: { albumArtDiskCacheDir, fontsDir (font files to register) }
+ */
+function applyRendererOptions(options = {}) {
+    albumArtCache.setDiskCacheDir(options.albumArtDiskCacheDir || null);
+    if (options.fontsDir) {
+        registerFontFiles(options.fontsDir);
+    }
+}
+
+function findWorkerFile() {
+    return WORKER_FILES.map(file => path.join(__dirname, file)).find(file => fs.existsSync(file)) || null;
+}
+
+class RenderPool {
+    /**
+     * @param {Object} options - { size, workerFile }
+     */
+    constructor({ size = DEFAULT_POOL_SIZE, workerFile = undefined } = {}) {
+        this.size = size;
+        this.workerFile = workerFile === undefined ? findWorkerFile() : workerFile;
+        this.workers = []; // { worker, job }
+        this.queue = []; // Jobs waiting for a free worker
+        this.latestJobs = new Map(); // jobKey -> newest job, older ones are cancelled
+        this.nextJobId = 1;
+        this.workersFailed = false;
+        this.rendererOptions = {};
+    }
+
+    /**
+     * Render a canvasRenderer method off the main thread, resolves with its result (a PNG data URL,
+     * { dataUrl, scrolling } for createNowPlayingFrame, null for an icon that can't be loaded)
+     * jobKey identifies what is rendered (usually the key ID): a newer job with the same
+     * jobKey rejects this one with RenderCancelledError
+     */
+    render(jobKey, method, ...args) {
+        if (!RENDER_METHODS.includes(method)) {
+            return Promise.reject(new Error(`Unknown render method ${method}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextJobId++, jobKey, method, args, resolve, reject, cancelled: false };
+
+            const previous = this.latestJobs.get(jobKey);
+            if (previous) {
+                this.cancel(previous);
+            }
+            this.latestJobs.set(jobKey, job);
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Cancel a job: queued jobs are dropped, a running job is told to stop and its result is discarded
+     */
+    cancel(job) {
+        job.cancelled = true;
+        const index = this.queue.indexOf(job);
+        if (index > -1) {
+            this.queue.splice(index, 1);
+        }
+        const slot = this.workers.find(other => other.job === job);
+        if (slot) {
+            slot.worker.postMessage({ type: 'cancel', jobId: job.id });
+        }
+        job.reject(new RenderCancelledError(job.jobKey));
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.getIdleWorker();
+            if (!slot) {
+                if (this.workersFailed || !this.workerFile) {
+                    this.renderOnMainThread(this.queue.shift());
+                    continue;
+                }
+                return;
+            }
+
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.postMessage({ type: 'render', jobId: job.id, method: job.method, args: job.args });
+        }
+    }
+
+    getIdleWorker() {
+        const idle = this.workers.find(slot => !slot.job);
+        if (idle) return idle;
+        if (this.workers.length < this.size && this.workerFile && !this.workersFailed) {
+            return this.startWorker();
+        }
+        return null;
+    }
+
+    startWorker() {
+        let worker;
+        try {
+            worker = new Worker(this.workerFile, {
+                workerData: { logLevel: logger.getLogLevel(), rendererOptions: this.rendererOptions }
+            });
+        } catch (error) {
+            logger.warn(`Render worker could not be started, rendering on the main thread: ${error.message}`);
+            this.workersFailed = true;
+            return null;
+        }
+
+        // Workers must not keep the plugin process alive
+        worker.unref();
+        const slot = { worker, job: null };
+        this.workers.push(slot);
+
+        worker.on('message', message => this.handleMessage(slot, message));
+        worker.on('error', error => {
+            logger.error(`Render worker failed: ${error.message}`);
+            this.removeWorker(slot, error);
+        });
+        worker.on('exit', code => {
+            if (this.workers.includes(slot)) {
+                this.removeWorker(slot, new Error(`Render worker exited with code ${code}`));
+            }
+        });
+
+        logger.debug(`Started render worker ${this.workers.length}/${this.size}`);
+        return slot;
+    }
+
+    handleMessage(slot, message) {
+        if (message.type === 'log') {
+            const log = logger[message.level] || logger.info;
+            log('[render worker]', ...message.args);
+            return;
+        }
+        if (message.type !== 'result' || !slot.job || slot.job.id !== message.jobId) return;
+
+        const job = slot.job;
+        slot.job = null;
+        this.finishJob(job, message.error ? new Error(message.error) : null, message.result);
+        this.dispatch();
+    }
+
+    finishJob(job, error, result) {
+        if (this.latestJobs.get(job.jobKey) === job) {
+            this.latestJobs.delete(job.jobKey);
+        }
+        // Cancelled jobs were already rejected, their result is stale
+        if (job.cancelled) return;
+
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    removeWorker(slot, error) {
+        this.workers = this.workers.filter(other => other !== slot);
+        if (slot.job) {
+            const job = slot.job;
+            slot.job = null;
+            this.finishJob(job, error);
+        }
+        // A worker that dies right away will die again, stop starting new ones
+        if (this.workers.length === 0 && error) {
+            this.workersFailed = true;
+            logger.warn('Render workers unavailable, rendering on the main thread');
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Fallback when workers can't run (worker file missing, worker_threads unavailable)
+     */
+    renderOnMainThread(job) {
+        Promise.resolve()
+            .then(() => runRenderJob(job, () => canvasRenderer[job.method](...job.args)))
+            .then(result => this.finishJob(job, null, result), error => this.finishJob(job, error));
+    }
+
+    /**
+     * Forward a changed log level to the running workers
+     */
+    setLogLevel(logLevel) {
+        this.workers.forEach(({ worker }) => worker.postMessage({ type: 'logLevel', logLevel }));
+    }
+
+    /**
+     * Change renderer settings (see applyRendererOptions) in every worker and the main thread fallback
+     */
+    configure(rendererOptions) {
+        this.rendererOptions = { ...this.rendererOptions, ...rendererOptions };
+        applyRendererOptions(this.rendererOptions);
+        this.workers.forEach(({ worker }) => worker.postMessage({ type: 'configure', rendererOptions: this.rendererOptions }));
+    }
+
+    /**
+     * Stop all workers, pending jobs are cancelled
+     */
+    terminate() {
+        this.queue.splice(0).forEach(job => this.cancel(job));
+        this.workers.splice(0).forEach(({ worker, job }) => {
+            if (job) this.cancel(job);
+            worker.terminate();
+        });
+        this.latestJobs.clear();
+    }
+}
+
+// Shared pool, workers start with the first job
+const renderPool = new RenderPool();
+
+module.exports = {
+    RenderPool,
+    RenderCancelledError,
+    RENDER_METHODS,
+    applyRendererOptions,
+    DEFAULT_POOL_SIZE,
+    renderPool
+};
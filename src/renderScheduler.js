@@ -0,0 +1,165 @@
+// Render Scheduler
+// Sits between the key draw helpers and plugin.draw: collects draw requests per key,
+// sends at most maxFps frames per device and skips images the key already shows.
+// A newer request for a key replaces the pending one, so the last state of a burst is always sent.
+// Animated keys (marquee) register a tick that renders their next frame, ticked per device at a fixed rate.
+const crypto = require('crypto');
+const logger = require('./loggerwrapper.js');
+
+// Frames per second sent to a single device (all of its keys together)
+const DEFAULT_MAX_FPS = 10;
+
+/**
+ * Hash of everything that ends up on the key, used to skip identical frames
+ */
+function hashFrame(...parts) {
+    const hash = crypto.createHash('sha1');
+    parts.forEach(part => hash.update(typeof part === 'string' ? part : JSON.stringify(part ?? null)));
+    return hash.digest('hex');
+}
+
+class RenderScheduler {
+    /**
+     * @param {Object} options - { maxFps }
+     */
+    constructor({ maxFps = DEFAULT_MAX_FPS } = {}) {
+        this.maxFps = maxFps;
+        this.devices = new Map(); // serialNumber -> { pending: Map<keyId, frame>, lastFrameAt, timer, animations, animationTimer }
+        this.lastHashes = new Map(); // keyId -> hash of the frame the key shows
+        this.stats = { submitted: 0, superseded: 0, deduplicated: 0, sent: 0 };
+    }
+
+    getDevice(serialNumber) {
+        if (!this.devices.has(serialNumber)) {
+            this.devices.set(serialNumber, { pending: new Map(), lastFrameAt: 0, timer: null, animations: new Map(), animationTimer: null });
+        }
+        return this.devices.get(serialNumber);
+    }
+
+    /**
+     * Queue a frame for a key
+     * frame is { hash, draw } where draw() sends it to the device and returns false if it was not drawn
+     */
+    submit(serialNumber, keyId, frame) {
+        const device = this.getDevice(String(serialNumber));
+        this.stats.submitted++;
+        if (device.pending.has(keyId)) {
+            this.stats.superseded++;
+        }
+        device.pending.set(keyId, frame);
+        this.scheduleFrame(String(serialNumber), device);
+    }
+
+    scheduleFrame(serialNumber, device) {
+        if (device.timer) return;
+
+        const frameIntervalMs = 1000 / this.maxFps;
+        const delayMs = Math.max(0, device.lastFrameAt + frameIntervalMs - Date.now());
+        device.timer = setTimeout(() => {
+            device.timer = null;
+            this.flush(serialNumber, device);
+        }, delayMs);
+    }
+
+    /**
+     * Send the newest pending frame of every key of a device
+     */
+    flush(serialNumber, device) {
+        device.lastFrameAt = Date.now();
+        const frames = Array.from(device.pending.entries());
+        device.pending.clear();
+
+        frames.forEach(([keyId, frame]) => {
+            if (frame.hash && this.lastHashes.get(keyId) === frame.hash) {
+                this.stats.deduplicated++;
+                return;
+            }
+
+            try {
+                if (frame.draw() === false) {
+                    this.lastHashes.delete(keyId);
+                    return;
+                }
+                this.stats.sent++;
+                if (frame.hash) {
+                    this.lastHashes.set(keyId, frame.hash);
+                } else {
+                    this.lastHashes.delete(keyId);
+                }
+            } catch (error) {
+                this.lastHashes.delete(keyId);
+                logger.error(`Render scheduler failed to draw ${keyId}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Call tick() fps times per second until stopAnimation, tick renders and submits the key's next frame
+     * A tick is skipped while the previous one is still rendering
+     */
+    animate(serialNumber, keyId, tick, fps) {
+        const device = this.getDevice(String(serialNumber));
+        device.animations.set(keyId, { tick, busy: false });
+        if (device.animationTimer) return;
+
+        const intervalMs = 1000 / Math.min(fps, this.maxFps);
+        device.animationTimer = setInterval(() => this.tickAnimations(device), intervalMs);
+        logger.debug(`Started animation timer for device ${serialNumber}`);
+    }
+
+    tickAnimations(device) {
+        device.animations.forEach((animation, keyId) => {
+            if (animation.busy) return;
+            animation.busy = true;
+            Promise.resolve()
+                .then(() => animation.tick())
+                .catch(error => logger.error(`Animation tick failed for ${keyId}: ${error.message}`))
+                .finally(() => { animation.busy = false; });
+        });
+    }
+
+    isAnimating(serialNumber, keyId) {
+        return !!this.devices.get(String(serialNumber))?.animations.has(keyId);
+    }
+
+    stopAnimation(serialNumber, keyId) {
+        const device = this.devices.get(String(serialNumber));
+        if (!device || !device.animations.delete(keyId)) return;
+
+        if (device.animations.size === 0 && device.animationTimer) {
+            clearInterval(device.animationTimer);
+            device.animationTimer = null;
+            logger.debug(`Stopped animation timer for device ${serialNumber}`);
+        }
+    }
+
+    /**
+     * Drop a key's pending frame, last hash and animation (key removed, or the device has to be redrawn)
+     */
+    forgetKey(serialNumber, keyId) {
+        this.devices.get(String(serialNumber))?.pending.delete(keyId);
+        this.lastHashes.delete(keyId);
+        this.stopAnimation(serialNumber, keyId);
+    }
+
+    /**
+     * Forget what a device shows, so the next frame of every key is sent (e.g. after plugin.alive)
+     */
+    forgetDevice(serialNumber) {
+        const prefix = `${serialNumber}-`;
+        Array.from(this.lastHashes.keys())
+            .filter(keyId => keyId.startsWith(prefix))
+            .forEach(keyId => this.lastHashes.delete(keyId));
+    }
+
+    getStats() {
+        const animating = Array.from(this.devices.values()).reduce((count, device) => count + device.animations.size, 0);
+        return { ...this.stats, maxFps: this.maxFps, animating };
+    }
+}
+
+module.exports = {
+    RenderScheduler,
+    DEFAULT_MAX_FPS,
+    hashFrame
+};
@@ -0,0 +1,48 @@
+// Render Worker
+// Runs canvasRenderer in a worker thread (see renderPool.js): loads album art, extracts
+// colors and encodes PNGs without blocking socket events and key presses on the main thread
+const { parentPort, workerData } = require('worker_threads');
+const logger = require('./loggerwrapper.js');
+const canvasRenderer = require('./canvasRenderer.js');
+const { RENDER_METHODS, applyRendererOptions } = require('./renderPool.js');
+const { runRenderJob } = require('./renderJobs.js');
+
+// Jobs being rendered by jobId, a cancel message sets their cancelled flag
+const runningJobs = new Map();
+
+if (workerData?.logLevel) {
+    logger.setLogLevel(workerData.logLevel);
+}
+applyRendererOptions(workerData?.rendererOptions);
+
+parentPort.on('message', async message => {
+    if (message.type === 'logLevel') {
+        logger.setLogLevel(message.logLevel);
+        return;
+    }
+    if (message.type === 'configure') {
+        applyRendererOptions(message.rendererOptions);
+        return;
+    }
+    if (message.type === 'cancel') {
+        const job = runningJobs.get(message.jobId);
+        if (job) job.cancelled = true;
+        return;
+    }
+    if (message.type !== 'render') return;
+
+    const { jobId, method, args } = message;
+    const job = { jobKey: `job ${jobId}`, cancelled: false };
+    runningJobs.set(jobId, job);
+    try {
+        if (!RENDER_METHODS.includes(method)) {
+            throw new Error(`Unknown render method ${method}`);
+        }
+        const result = await runRenderJob(job, () => canvasRenderer[method](...args));
+        parentPort.postMessage({ type: 'result', jobId, result });
+    } catch (error) {
+        parentPort.postMessage({ type: 'result', jobId, error: error.message });
+    } finally {
+        runningJobs.delete(jobId);
+    }
+});
@@ -0,0 +1,104 @@
+// YouTube Music Companion Server Capabilities
+// Built from the /metadata response so keys can be disabled when the connected YTMD
+// version does not support their commands, instead of failing once they are pressed
+
+// API versions this plugin can talk to, in order of preference
+const SUPPORTED_API_VERSIONS = ['v1'];
+
+// Commands available in each Companion Server API version
+const COMMANDS_BY_API_VERSION = {
+    v1: [
+        'playPause', 'play', 'pause', 'next', 'previous',
+        'setVolume', 'volumeUp', 'volumeDown', 'mute', 'unmute',
+        'seekTo', 'repeatMode', 'shuffle', 'playQueueIndex',
+        'toggleLike', 'toggleDislike', 'changeVideo'
+    ]
+};
+
+// Commands each key type sends when pressed
+const KEY_COMMANDS = {
+    'at.mrcode.ytmd.nowplaying': ['playPause'],
+    'at.mrcode.ytmd.like': ['toggleLike'],
+    'at.mrcode.ytmd.dislike': ['toggleDislike'],
+    'at.mrcode.ytmd.playpause': ['playPause'],
+    'at.mrcode.ytmd.previous': ['previous'],
+    'at.mrcode.ytmd.next': ['next'],
+    'at.mrcode.ytmd.mutetoggle': ['mute', 'unmute'],
+    'at.mrcode.ytmd.shuffle': ['shuffle'],
+    'at.mrcode.ytmd.repeat': ['repeatMode'],
+    'at.mrcode.ytmd.seekforward': ['seekTo'],
+    'at.mrcode.ytmd.seekbackward': ['seekTo'],
+    'at.mrcode.ytmd.seekslider': ['seekTo'],
+    'at.mrcode.ytmd.playbyid': ['changeVideo'],
+    'at.mrcode.ytmd.volumeup': ['setVolume'],
+    'at.mrcode.ytmd.volumedown': ['setVolume'],
+    'at.mrcode.ytmd.volumeslider': ['setVolume']
+};
+
+/**
+ * Build the capability map from a /metadata response
+ * YTMD advertises `apiVersions`, newer versions may also list `commands`, which then narrows down
+ * the commands known for the negotiated API version. `features` names capabilities, not commands,
+ * so it is kept for information only
+ */
+function parseCapabilities(metadata = {}) {
+    const apiVersions = Array.isArray(metadata.apiVersions) ? metadata.apiVersions.map(String) : [];
+    const apiVersion = SUPPORTED_API_VERSIONS.find(version => apiVersions.includes(version)) || null;
+
+    let commands = apiVersion ? [...COMMANDS_BY_API_VERSION[apiVersion]] : [];
+    if (apiVersion && Array.isArray(metadata.commands)) {
+        commands = commands.filter(command => metadata.commands.includes(command));
+    }
+
+    return {
+        apiVersions,
+        apiVersion,
+        compatible: apiVersion !== null,
+        commands,
+        features: Array.isArray(metadata.features) ? [...metadata.features] : [],
+        checkedAt: Date.now()
+    };
+}
+
+/**
+ * Whether the server supports a command, unknown capabilities allow everything
+ */
+function supportsCommand(capabilities, command) {
+    if (!capabilities) return true;
+    return capabilities.compatible && capabilities.commands.includes(command);
+}
+
+/**
+ * Commands a key type needs that the server does not support
+ */
+function getUnsupportedKeyCommands(capabilities, cid) {
+    return (KEY_COMMANDS[cid] || []).filter(command => !supportsCommand(capabilities, command));
+}
+
+/**
+ * Whether every command of a key type is supported
+ */
+function isKeySupported(capabilities, cid) {
+    return getUnsupportedKeyCommands(capabilities, cid).length === 0;
+}
+
+/**
+ * Human readable reason for an incompatible server, null if compatible or unknown
+ */
+function getCompatibilityWarning(capabilities) {
+    if (!capabilities || capabilities.compatible) {
+        return null;
+    }
+    const advertised = capabilities.apiVersions.length > 0 ? capabilities.apiVersions.join(', ') : 'none';
+    return `Companion Server API versions ${advertised} are not supported, this plugin needs ${SUPPORTED_API_VERSIONS.join(' or ')}. Please update YouTube Music Desktop App.`;
+}
+
+module.exports = {
+    SUPPORTED_API_VERSIONS,
+    KEY_COMMANDS,
+    parseCapabilities,
+    supportsCommand,
+    getUnsupportedKeyCommands,
+    isKeySupported,
+    getCompatibilityWarning
+};
@@ -0,0 +1,169 @@
+// YouTube Music Player Events
+// Turns consecutive formatted states (see ytMusicApi.formatTrackState) into semantic events,
+// so subscribers react to "the track changed" instead of diffing every state update themselves
+const logger = require('./loggerwrapper.js');
+
+const PLAYER_EVENTS = {
+    TRACK_CHANGED: 'trackChanged',           // { videoId, title, artist, album } or null
+    PLAY_STATE_CHANGED: 'playStateChanged',  // isPlaying
+    LIKE_STATUS_CHANGED: 'likeStatusChanged', // -1 Unknown, 0 Dislike, 1 Indifferent, 2 Like
+    VOLUME_CHANGED: 'volumeChanged',         // 0-100
+    MUTE_CHANGED: 'muteChanged',             // isMuted
+    REPEAT_MODE_CHANGED: 'repeatModeChanged', // -1 Unknown, 0 None, 1 All, 2 One
+    SEEKED: 'seeked',                        // progress in seconds
+    AD_STARTED: 'adStarted',                 // adPlaying
+    AD_ENDED: 'adEnded',                     // adPlaying
+    QUEUE_CHANGED: 'queueChanged',           // queue object from the Companion Server
+    BUFFERING_CHANGED: 'bufferingChanged'    // isBuffering
+};
+
+// Progress jumps larger than this (compared to the expected playback position) count as a seek
+const SEEK_THRESHOLD_SECONDS = 2;
+
+function getTrackInfo(state) {
+    if (!state || !state.videoId) return null;
+    return {
+        videoId: state.videoId,
+        title: state.title,
+        artist: state.artist,
+        album: state.album
+    };
+}
+
+// Queue identity: the item order and the selected item, ignoring thumbnails and other details
+function getQueueSignature(queue) {
+    if (!queue) return '';
+    const items = Array.isArray(queue.items) ? queue.items.map(item => item.videoId).join(',') : '';
+    return `${items}|${queue.selectedItemIndex ?? ''}`;
+}
+
+// Where playback should be now if nobody seeked since the previous state
+function getExpectedProgress(previous, next) {
+    if (!previous.isPlaying || !previous.lastUpdate || !next.lastUpdate) {
+        return previous.progress || 0;
+    }
+    return (previous.progress || 0) + (next.lastUpdate - previous.lastUpdate) / 1000;
+}
+
+/**
+ * Compare two formatted states and return the events between them
+ * Each event is { type, previous, next, state } where state is the full next state.
+ * With no previous state every value counts as changed (previous is null), so
+ * subscribers get an initial value. seeked and the ad events need a previous state.
+ */
+function diffStates(previousState, nextState) {
+    if (!nextState) return [];
+
+    const events = [];
+    const previous = previousState || {};
+    const hasPrevious = !!previousState;
+    const add = (type, previousValue, nextValue) => {
+        events.push({ type, previous: hasPrevious ? previousValue : null, next: nextValue, state: nextState });
+    };
+
+    const trackChanged = previous.videoId !== nextState.videoId;
+    if (trackChanged) {
+        add(PLAYER_EVENTS.TRACK_CHANGED, getTrackInfo(previousState), getTrackInfo(nextState));
+    }
+
+    const valueEvents = [
+        [PLAYER_EVENTS.PLAY_STATE_CHANGED, 'isPlaying'],
+        [PLAYER_EVENTS.BUFFERING_CHANGED, 'isBuffering'],
+        [PLAYER_EVENTS.LIKE_STATUS_CHANGED, 'likeStatus'],
+        [PLAYER_EVENTS.VOLUME_CHANGED, 'volume'],
+        [PLAYER_EVENTS.MUTE_CHANGED, 'isMuted'],
+        [PLAYER_EVENTS.REPEAT_MODE_CHANGED, 'repeatMode']
+    ];
+    valueEvents.forEach(([type, field]) => {
+        if (nextState[field] === undefined) return;
+        if (!hasPrevious || previous[field] !== nextState[field]) {
+            add(type, previous[field], nextState[field]);
+        }
+    });
+
+    if (hasPrevious && !previous.adPlaying && nextState.adPlaying) {
+        add(PLAYER_EVENTS.AD_STARTED, false, true);
+    } else if (hasPrevious && previous.adPlaying && !nextState.adPlaying) {
+        add(PLAYER_EVENTS.AD_ENDED, true, false);
+    }
+
+    if (!hasPrevious || getQueueSignature(previous.queue) !== getQueueSignature(nextState.queue)) {
+        add(PLAYER_EVENTS.QUEUE_CHANGED, previous.queue ?? null, nextState.queue ?? null);
+    }
+
+    // A new track starting at 0 is not a seek
+    if (hasPrevious && !trackChanged) {
+        const expected = getExpectedProgress(previous, nextState);
+        if (Math.abs((nextState.progress || 0) - expected) > SEEK_THRESHOLD_SECONDS) {
+            add(PLAYER_EVENTS.SEEKED, previous.progress || 0, nextState.progress || 0);
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Minimal event emitter for player events
+ * Listener errors are logged and don't stop other listeners
+ */
+class StateEventEmitter {
+    constructor(name = 'player') {
+        this.name = name;
+        this.listeners = new Map();
+        this.anyListeners = [];
+    }
+
+    /**
+     * Subscribe to one event type, returns a function that unsubscribes
+     */
+    on(type, callback) {
+        if (typeof callback !== 'function') return () => {};
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(callback);
+        return () => this.off(type, callback);
+    }
+
+    off(type, callback) {
+        const callbacks = this.listeners.get(type);
+        if (!callbacks) return;
+        const index = callbacks.indexOf(callback);
+        if (index > -1) {
+            callbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Subscribe to all event types, returns a function that unsubscribes
+     */
+    onAny(callback) {
+        if (typeof callback !== 'function') return () => {};
+        this.anyListeners.push(callback);
+        return () => {
+            const index = this.anyListeners.indexOf(callback);
+            if (index > -1) {
+                this.anyListeners.splice(index, 1);
+            }
+        };
+    }
+
+    emit(event) {
+        const callbacks = [...(this.listeners.get(event.type) || []), ...this.anyListeners];
+        callbacks.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                logger.error(`Error in ${this.name} ${event.type} listener:`, error.message);
+            }
+        });
+    }
+}
+
+module.exports = {
+    PLAYER_EVENTS,
+    SEEK_THRESHOLD_SECONDS,
+    diffStates,
+    getQueueSignature,
+    StateEventEmitter
+};
@@ -0,0 +1,83 @@
+// YouTube Music Player Target Config Helpers
+// The default target keeps its settings at the top level of the plugin config
+// (backwards compatible with single-instance setups), additional targets are
+// stored in the `playerTargets` array.
+
+const DEFAULT_TARGET_ID = 'default';
+const DEFAULT_TARGET_NAME = 'Default';
+
+/**
+ * Get the list of target descriptors ({ id, name }) defined in the config
+ */
+function listTargetConfigs(config) {
+    const targets = [{ id: DEFAULT_TARGET_ID, name: config?.defaultTargetName || DEFAULT_TARGET_NAME }];
+
+    if (config && Array.isArray(config.playerTargets)) {
+        config.playerTargets.forEach(entry => {
+            if (entry && entry.id && entry.id !== DEFAULT_TARGET_ID) {
+                targets.push({ id: String(entry.id), name: entry.name || String(entry.id) });
+            }
+        });
+    }
+
+    return targets;
+}
+
+/**
+ * Read the settings for a single target from the plugin config
+ */
+function readTargetConfig(config, targetId = DEFAULT_TARGET_ID) {
+    if (!config) {
+        return {};
+    }
+
+    if (!targetId || targetId === DEFAULT_TARGET_ID) {
+        return {
+            id: DEFAULT_TARGET_ID,
+            name: config.defaultTargetName || DEFAULT_TARGET_NAME,
+            serverHost: config.serverHost,
+            serverPort: config.serverPort,
+            serverProtocol: config.serverProtocol,
+            token: config.token,
+            appId: config.appId,
+            isAuthenticated: config.isAuthenticated,
+            lastAuthTime: config.lastAuthTime
+        };
+    }
+
+    const entry = Array.isArray(config.playerTargets)
+        ? config.playerTargets.find(target => target && String(target.id) === String(targetId))
+        : null;
+
+    return entry ? { ...entry } : {};
+}
+
+/**
+ * Return a new plugin config with the given settings applied to a single target
+ */
+function writeTargetConfig(config, targetId = DEFAULT_TARGET_ID, patch = {}) {
+    const baseConfig = config || {};
+
+    if (!targetId || targetId === DEFAULT_TARGET_ID) {
+        return { ...baseConfig, ...patch };
+    }
+
+    const playerTargets = Array.isArray(baseConfig.playerTargets) ? [...baseConfig.playerTargets] : [];
+    const index = playerTargets.findIndex(target => target && String(target.id) === String(targetId));
+
+    if (index > -1) {
+        playerTargets[index] = { ...playerTargets[index], ...patch };
+    } else {
+        playerTargets.push({ id: targetId, name: targetId, ...patch });
+    }
+
+    return { ...baseConfig, playerTargets };
+}
+
+module.exports = {
+    DEFAULT_TARGET_ID,
+    DEFAULT_TARGET_NAME,
+    listTargetConfigs,
+    readTargetConfig,
+    writeTargetConfig
+};
@@ -0,0 +1,122 @@
+// Text Layout
+// Unicode handling for key text: grapheme clusters, so truncation never splits surrogate pairs, emoji
+// sequences, flags or combining marks; the base direction of a line, so Arabic and Hebrew titles are
+// laid out right-to-left; and fallback font families for CJK and emoji glyphs.
+// No canvas or plugin dependencies, test/textLayout.test.js runs it with plain node.
+
+// Grapheme segmentation (Intl.Segmenter is available in Node 16+ builds with full ICU)
+const graphemeSegmenter = typeof Intl === 'object' && typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+// Fallback without Intl.Segmenter: a flag (two regional indicators) or a code point with the marks,
+// variation selectors, skin tones and zero-width-joined code points that belong to it
+const GRAPHEME_PATTERN = /\p{Regional_Indicator}{2}|[^\p{M}](?:[\p{M}\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]|\u200D[^\p{M}])*|\p{M}+/gu;
+
+// Scripts written right-to-left and letters of any script, for the first strong character
+const RTL_CHARACTER = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+const LETTER = /\p{L}/u;
+
+// Fallback families per script, the first installed one draws glyphs the key's font doesn't have
+// (macOS, Windows, then Noto for Linux)
+const FALLBACK_FONT_FAMILIES = {
+    japanese: ['Hiragino Sans', 'Yu Gothic', 'Meiryo', 'Noto Sans CJK JP', 'Noto Sans JP'],
+    korean: ['Apple SD Gothic Neo', 'Malgun Gothic', 'Noto Sans CJK KR', 'Noto Sans KR'],
+    chinese: ['PingFang SC', 'Microsoft YaHei', 'Noto Sans CJK SC', 'Noto Sans SC'],
+    emoji: ['Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji']
+};
+
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const HANGUL = /\p{Script=Hangul}/u;
+const HAN = /\p{Script=Han}/u;
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+/**
+ * User-perceived characters of text, e.g.
+ *   'Beyoncé - Halo'      'é' (e + combining acute) stays one character
+ *   '👨‍👩‍👧‍👦 Family Portrait'  the family emoji (7 code points joined with ZWJ) stays one character
+ *   '🇯🇵 紅蓮華 - LiSA'          the flag (two regional indicators) stays one character
+ */
+function splitGraphemes(text) {
+    const value = String(text ?? '');
+    if (graphemeSegmenter) {
+        return Array.from(graphemeSegmenter.segment(value), segment => segment.segment);
+    }
+    return value.match(GRAPHEME_PATTERN) || [];
+}
+
+/**
+ * Truncate text with an ellipsis to fit maxWidth as measured by ctx
+ * Cuts between graphemes, so 'Beyonce\u0301 - Halo' never loses the accent of its
+ * last letter and '🇰🇷 IU - 좋은 날' never ends in half a flag
+ */
+function truncateText(ctx, text, maxWidth) {
+    if (!text) return ''; // Handle null or undefined text input
+    const displayText = String(text); // Ensure text is a string
+
+    try {
+        // Basic check for maxWidth validity
+        if (typeof maxWidth !== 'number' || maxWidth <= 0) {
+            return displayText; // Return original text if maxWidth is invalid
+        }
+        if (ctx.measureText(displayText).width <= maxWidth) {
+            return displayText;
+        }
+
+        // Longest run of whole graphemes that fits with the ellipsis (width grows with the length)
+        const graphemes = splitGraphemes(displayText);
+        let low = 0;
+        let high = graphemes.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (ctx.measureText(graphemes.slice(0, mid).join('') + '...').width <= maxWidth) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return graphemes.slice(0, low).join('') + '...';
+    } catch (error) {
+        return displayText; // Return the original text if the context is lost
+    }
+}
+
+/**
+ * Base direction of a line from its first strong character (Unicode bidi rule P2), e.g.
+ *   'عمرو دياب - تملي معاك'      'rtl' (Amr Diab - Tamally Maak)
+ *   'עומר אדם - Tel Aviv'        'rtl', the Latin part keeps its order inside the line
+ *   '3 دقات - أبو ft. يسرا'       'rtl', digits and punctuation aren't strong (3 Daqat - Abu ft. Yousra)
+ *   'Fairuz - كيفك انت'          'ltr', starts with a Latin letter
+ */
+function getTextDirection(text) {
+    for (const char of String(text ?? '')) {
+        if (RTL_CHARACTER.test(char)) return 'rtl';
+        if (LETTER.test(char)) return 'ltr';
+    }
+    return 'ltr';
+}
+
+/**
+ * Fallback font families for the CJK and emoji glyphs in text, in the order to try them, e.g.
+ *   'YOASOBI - アイドル'        Japanese fonts (kana picks Japanese glyph shapes for the kanji too)
+ *   'IU (아이유) - 좋은 날'       Korean fonts
+ *   '周杰倫 - 晴天'             Chinese fonts
+ *   'BLACKPINK - 🔥 Kill This Love 💖'  emoji fonts
+ */
+function getFallbackFontFamilies(text) {
+    const value = String(text ?? '');
+    const families = [];
+    if (KANA.test(value)) families.push(...FALLBACK_FONT_FAMILIES.japanese);
+    if (HANGUL.test(value)) families.push(...FALLBACK_FONT_FAMILIES.korean);
+    if (HAN.test(value) && !KANA.test(value)) families.push(...FALLBACK_FONT_FAMILIES.chinese);
+    if (EMOJI.test(value)) families.push(...FALLBACK_FONT_FAMILIES.emoji);
+    return families;
+}
+
+module.exports = {
+    FALLBACK_FONT_FAMILIES,
+    splitGraphemes,
+    truncateText,
+    getTextDirection,
+    getFallbackFontFamilies
+};
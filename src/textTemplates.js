@@ -0,0 +1,166 @@
+// Now Playing Text Templates
+// User-defined text per now playing line, e.g. "{artist} — {title}[ ({album})]" or "{elapsed}/{remaining}".
+//   {field}              value of a field, empty if the field is empty
+//   {album|artist|"—"}   first non-empty alternative, quoted alternatives are literal text
+//   [ ({album})]         optional part, left out if any field in it is empty
+//   \{ \[ \\             literal characters
+const { LRUCache } = require('lru-cache');
+const { formatDuration } = require('./utils.js');
+
+const DEFAULT_TEMPLATES = {
+    title: '{title}',
+    artist: '{artist}'
+};
+
+const REPEAT_MODE_NAMES = { 0: 'Off', 1: 'All', 2: 'One' };
+const VIDEO_TYPE_NAMES = { 0: 'Audio', 1: 'Video', 2: 'Upload', 3: 'Podcast' };
+
+// Template fields: value from the playback store state and the key dependency that changes it
+const TEMPLATE_FIELDS = {
+    title: { dependency: 'track', value: state => state.currentTrack?.title },
+    artist: { dependency: 'track', value: state => state.currentTrack?.artist },
+    album: { dependency: 'track', value: state => state.currentTrack?.album },
+    elapsed: { dependency: 'progress', value: state => formatDuration(state.progress) },
+    remaining: { dependency: 'progress', value: state => state.duration > 0 ? formatDuration(Math.max(0, state.duration - state.progress)) : null },
+    duration: { dependency: 'duration', value: state => state.duration > 0 ? formatDuration(state.duration) : null },
+    volume: { dependency: 'volume', value: state => state.volume },
+    repeatMode: { dependency: 'repeatMode', value: state => REPEAT_MODE_NAMES[state.repeatMode] },
+    videoType: { dependency: 'track', value: state => VIDEO_TYPE_NAMES[state.currentTrack?.videoType] },
+    isLive: { dependency: 'track', value: state => state.currentTrack?.isLive ? 'LIVE' : null },
+    queuePosition: {
+        dependency: 'queue',
+        value: state => {
+            const index = state.currentTrack?.queue?.selectedItemIndex;
+            return Number.isInteger(index) && index >= 0 ? index + 1 : null;
+        }
+    },
+    queueLength: { dependency: 'queue', value: state => state.currentTrack?.queue?.items?.length || null }
+};
+
+// Parsed templates by source. Bounded, as every edit of a template while typing in the settings is a new source.
+const PARSED_TEMPLATE_CACHE_SIZE = 50;
+const parsedTemplates = new LRUCache({ max: PARSED_TEMPLATE_CACHE_SIZE });
+
+/**
+ * Parse a template into nodes: { text }, { alternatives: [{ field } | { literal }] } and { optional: nodes }
+ * Unclosed braces and brackets are kept as text
+ */
+function parseTemplate(template) {
+    if (parsedTemplates.has(template)) {
+        return parsedTemplates.get(template);
+    }
+
+    const root = [];
+    const stack = [root];
+    let text = '';
+    const current = () => stack[stack.length - 1];
+    const flushText = () => {
+        if (text) current().push({ text });
+        text = '';
+    };
+
+    for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+        if (char === '\\' && i + 1 < template.length) {
+            text += template[++i];
+        } else if (char === '{') {
+            const end = template.indexOf('}', i);
+            if (end === -1) {
+                text += char;
+                continue;
+            }
+            flushText();
+            const alternatives = template.slice(i + 1, end).split('|').map(part => {
+                const trimmed = part.trim();
+                const quoted = trimmed.match(/^"(.*)"$/);
+                return quoted ? { literal: quoted[1] } : { field: trimmed };
+            });
+            current().push({ alternatives });
+            i = end;
+        } else if (char === '[') {
+            flushText();
+            const optional = [];
+            current().push({ optional });
+            stack.push(optional);
+        } else if (char === ']' && stack.length > 1) {
+            flushText();
+            stack.pop();
+        } else {
+            text += char;
+        }
+    }
+    flushText();
+
+    parsedTemplates.set(template, root);
+    return root;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (typeof value === 'number' && isNaN(value));
+}
+
+function getFieldValue(field, state) {
+    const definition = TEMPLATE_FIELDS[field];
+    if (!definition) return null;
+    const value = definition.value(state);
+    return isEmpty(value) ? null : String(value);
+}
+
+/**
+ * Render nodes, missing is true if a field without a non-empty alternative was left out
+ */
+function renderNodes(nodes, state) {
+    let text = '';
+    let missing = false;
+    nodes.forEach(node => {
+        if (node.text !== undefined) {
+            text += node.text;
+        } else if (node.alternatives) {
+            const value = node.alternatives
+                .map(alternative => alternative.literal ?? getFieldValue(alternative.field, state))
+                .find(candidate => !isEmpty(candidate));
+            if (value === undefined) {
+                missing = true;
+            } else {
+                text += value;
+            }
+        } else if (node.optional) {
+            const part = renderNodes(node.optional, state);
+            if (!part.missing) {
+                text += part.text;
+            }
+        }
+    });
+    return { text, missing };
+}
+
+/**
+ * Text of a template for a playback store state, e.g. "Artist — Title (Album)"
+ */
+function renderTemplate(template, state) {
+    if (!template || !state) return '';
+    return renderNodes(parseTemplate(String(template)), state).text.trim();
+}
+
+/**
+ * Key dependencies (see keyDependencies.js) of the fields the templates use
+ */
+function getTemplateDependencies(templates) {
+    const dependencies = new Set();
+    const collect = nodes => nodes.forEach(node => {
+        node.alternatives?.forEach(({ field }) => {
+            if (TEMPLATE_FIELDS[field]) dependencies.add(TEMPLATE_FIELDS[field].dependency);
+        });
+        if (node.optional) collect(node.optional);
+    });
+    templates.filter(Boolean).forEach(template => collect(parseTemplate(String(template))));
+    return Array.from(dependencies);
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    TEMPLATE_FIELDS,
+    parseTemplate,
+    renderTemplate,
+    getTemplateDependencies
+};
@@ -0,0 +1,222 @@
+// Key Themes
+// Named color palettes for the rendered keys (now playing, like, dislike, play/pause, status and
+// connection). The global theme comes from the plugin config, colors set on a key override it.
+// The album art theme derives the accent from the current track's art (getImageColors).
+
+const DEFAULT_THEME = 'dark';
+const ALBUM_ART_THEME = 'albumart';
+
+const THEMES = {
+    dark: {
+        name: 'YouTube Music Dark',
+        background: '#424242',
+        text: '#FFFFFF',
+        textSecondary: 'rgba(255, 255, 255, 0.8)',
+        accent: '#FF0000',
+        track: 'rgba(255, 255, 255, 0.2)', // Unfilled part of progress bars
+        overlay: 'rgba(0, 0, 0, 0.3)', // Over the now playing background, for text readability
+        gradient: ['#1E1E1E', '#2E2E2E'], // Now playing background without album art
+        artGradient: true, // Now playing background from the album art colors
+        playColor: '#00FF00',
+        pauseColor: '#FF6600',
+        likedColor: '#FF0000',
+        unlikedColor: '#FFFFFF'
+    },
+    light: {
+        name: 'YouTube Music Light',
+        background: '#F1F1F1',
+        text: '#0F0F0F',
+        textSecondary: 'rgba(15, 15, 15, 0.7)',
+        accent: '#FF0033',
+        track: 'rgba(0, 0, 0, 0.15)',
+        overlay: 'rgba(255, 255, 255, 0.65)',
+        gradient: ['#FFFFFF', '#E5E5E5'],
+        artGradient: true,
+        playColor: '#1E8E3E',
+        pauseColor: '#E37400',
+        likedColor: '#FF0033',
+        unlikedColor: '#0F0F0F'
+    },
+    oled: {
+        name: 'OLED Black',
+        background: '#000000',
+        text: '#FFFFFF',
+        textSecondary: 'rgba(255, 255, 255, 0.7)',
+        accent: '#FF0000',
+        track: 'rgba(255, 255, 255, 0.15)',
+        overlay: 'rgba(0, 0, 0, 0)',
+        gradient: ['#000000', '#000000'],
+        artGradient: false,
+        playColor: '#00C853',
+        pauseColor: '#FF6D00',
+        likedColor: '#FF0000',
+        unlikedColor: '#FFFFFF'
+    },
+    contrast: {
+        name: 'High Contrast',
+        background: '#000000',
+        text: '#FFFFFF',
+        textSecondary: '#FFFFFF',
+        accent: '#FFFF00',
+        track: 'rgba(255, 255, 255, 0.35)',
+        overlay: 'rgba(0, 0, 0, 0.6)',
+        gradient: ['#000000', '#000000'],
+        artGradient: false,
+        playColor: '#00FF00',
+        pauseColor: '#FFFF00',
+        likedColor: '#FFFF00',
+        unlikedColor: '#FFFFFF'
+    }
+};
+
+const THEME_NAMES = {
+    ...Object.fromEntries(Object.entries(THEMES).map(([id, theme]) => [id, theme.name])),
+    [ALBUM_ART_THEME]: 'Album Art'
+};
+
+// Key data color settings and the palette color they override, an empty value follows the theme.
+// legacyDefault is what the settings pages stored before themes existed (see migrateColorSettings).
+const COLOR_SETTINGS = {
+    bgColor: { palette: 'background', legacyDefault: '#424242' },
+    likeBgColor: { palette: 'background', legacyDefault: '#424242' },
+    dislikeBgColor: { palette: 'background', legacyDefault: '#424242' },
+    progressBarColor: { palette: 'accent', legacyDefault: '#FF0000' },
+    likedColor: { palette: 'likedColor', legacyDefault: '#FF0000' },
+    dislikedColor: { palette: 'likedColor', legacyDefault: '#FF0000' },
+    unlikedColor: { palette: 'unlikedColor', legacyDefault: '#FFFFFF' },
+    playColor: { palette: 'playColor', legacyDefault: '#00FF00' },
+    pauseColor: { palette: 'pauseColor', legacyDefault: '#FF6600' }
+};
+
+// Key data with colorSettingsVersion below this still holds the legacy defaults
+const COLOR_SETTINGS_VERSION = 2;
+
+// Global theme id, set from the plugin config (main thread only, renders get the id with each job)
+let globalTheme = DEFAULT_THEME;
+
+function isThemeId(id) {
+    return Boolean(THEMES[id]) || id === ALBUM_ART_THEME;
+}
+
+function setGlobalTheme(id) {
+    globalTheme = isThemeId(id) ? id : DEFAULT_THEME;
+    return globalTheme;
+}
+
+function getGlobalTheme() {
+    return globalTheme;
+}
+
+/**
+ * Background set in a key's style (first state of multi-state keys, slider keys), '' if none
+ */
+function getStyleBgColor(style) {
+    return style?.multiStyle?.[0]?.bgColor || style?.bgColor || '';
+}
+
+/**
+ * Key data from before themes with the colors still at their legacy defaults emptied, so those keys
+ * follow the theme. Data at COLOR_SETTINGS_VERSION is returned as is, any color in it was chosen.
+ * Keys without a bgColor setting get the background of their style, unless it's the old default the
+ * manifest put there (the style itself is left alone, the device draws with it).
+ */
+function migrateColorSettings(data, style = null) {
+    if (!data || data.colorSettingsVersion >= COLOR_SETTINGS_VERSION) return data;
+    const migrated = { ...data, colorSettingsVersion: COLOR_SETTINGS_VERSION };
+    Object.entries(COLOR_SETTINGS).forEach(([setting, { legacyDefault }]) => {
+        if (typeof data[setting] === 'string' && data[setting].toUpperCase() === legacyDefault) {
+            migrated[setting] = '';
+        }
+    });
+    if (data.bgColor === undefined) {
+        const styleBgColor = getStyleBgColor(style);
+        migrated.bgColor = styleBgColor.toUpperCase() === COLOR_SETTINGS.bgColor.legacyDefault ? '' : styleBgColor;
+    }
+    return migrated;
+}
+
+/**
+ * Palette colors a key overrides, from its (migrated) data: { accent: '#00AAFF', ... }
+ */
+function getColorOverrides(data = {}) {
+    const overrides = {};
+    Object.entries(COLOR_SETTINGS).forEach(([setting, { palette }]) => {
+        const value = data?.[setting];
+        if (typeof value === 'string' && value.trim()) {
+            overrides[palette] = value;
+        }
+    });
+    return overrides;
+}
+
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+    return `#${rgb.map(c => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Relative brightness 0-1 and saturation 0-1 of an RGB color
+function getBrightness([r, g, b]) {
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+}
+
+function getSaturation(rgb) {
+    const max = Math.max(...rgb);
+    return max === 0 ? 0 : (max - Math.min(...rgb)) / max;
+}
+
+/**
+ * Dark palette with the most saturated album art color as accent, lightened until it stands out
+ * on the dark background
+ */
+function deriveAlbumArtPalette(albumColors) {
+    const colors = (albumColors || []).map(hexToRgb).filter(Boolean);
+    if (colors.length === 0) {
+        return { ...THEMES.dark, name: THEME_NAMES[ALBUM_ART_THEME] };
+    }
+
+    let accent = colors.reduce((best, color) => (getSaturation(color) > getSaturation(best) ? color : best));
+    while (getBrightness(accent) < 0.5) {
+        accent = accent.map(c => c + (255 - c) * 0.25);
+    }
+    const accentHex = rgbToHex(accent);
+
+    return {
+        ...THEMES.dark,
+        name: THEME_NAMES[ALBUM_ART_THEME],
+        background: rgbToHex(colors[0].map(c => c * 0.35)),
+        accent: accentHex,
+        playColor: accentHex,
+        pauseColor: accentHex,
+        likedColor: accentHex
+    };
+}
+
+/**
+ * Colors for a render: the theme's palette (albumColors for the album art theme) with the key's overrides
+ */
+function resolvePalette(themeId = DEFAULT_THEME, { albumColors = null, overrides = {} } = {}) {
+    const base = themeId === ALBUM_ART_THEME ? deriveAlbumArtPalette(albumColors) : (THEMES[themeId] || THEMES[DEFAULT_THEME]);
+    return { ...base, ...overrides };
+}
+
+module.exports = {
+    THEMES,
+    THEME_NAMES,
+    DEFAULT_THEME,
+    ALBUM_ART_THEME,
+    COLOR_SETTINGS,
+    COLOR_SETTINGS_VERSION,
+    migrateColorSettings,
+    getStyleBgColor,
+    isThemeId,
+    setGlobalTheme,
+    getGlobalTheme,
+    getColorOverrides,
+    resolvePalette
+};
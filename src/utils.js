@@ -1,6 +1,7 @@
 // YouTube Music Plugin Utilities
 const { Canvas } = require('skia-canvas');
 const logger = require('./loggerwrapper');
+const { truncateText } = require('./textLayout.js');
 
 const createCanvas = (width, height) => new Canvas(width, height);
 
@@ -33,38 +34,6 @@ function adjustColor(color, amount) {
     }
 }
 
-/**
- * Helper function to truncate text with ellipsis
- */
-function truncateText(ctx, text, maxWidth) {
-    if (!text) return ''; // Handle null or undefined text input
-    let displayText = String(text); // Ensure text is a string
-
-    try {
-        let metrics = ctx.measureText(displayText);
-        
-        // Basic check for maxWidth validity
-        if (typeof maxWidth !== 'number' || maxWidth <= 0) {
-            return displayText; // Return original text if maxWidth is invalid
-        }
-
-        while (metrics.width > maxWidth && displayText.length > 0) {
-            displayText = displayText.slice(0, -1);
-            
-            // Check if ctx.measureText is still valid
-            try {
-                metrics = ctx.measureText(displayText + '...');
-            } catch (ctxError) {
-                return text; // Return original text if context is lost
-            }
-        }
-    } catch (error) {
-        return displayText || text; // Return what we have if error occurs
-    }
-
-    return displayText.length < String(text).length ? displayText + '...' : displayText;
-}
-
 /**
  * Creates a simple fallback image as Base64 data URL
  */
@@ -228,18 +197,24 @@ function formatDuration(seconds) {
 
 /**
  * Get the best thumbnail URL from YouTube Music thumbnails array
+ * Picks the smallest thumbnail at least preferredSize pixels wide (no upscaling),
+ * or the largest one if all are smaller
  */
 function getBestThumbnail(thumbnails, preferredSize = 300) {
     if (!thumbnails || !Array.isArray(thumbnails) || thumbnails.length === 0) {
         return null;
     }
 
-    // Sort by size (width) and find the best match
-    const sortedThumbnails = thumbnails
+    const sizedThumbnails = thumbnails
         .filter(thumb => thumb.url && thumb.width && thumb.height)
-        .sort((a, b) => Math.abs(a.width - preferredSize) - Math.abs(b.width - preferredSize));
+        .sort((a, b) => a.width - b.width);
+
+    if (sizedThumbnails.length === 0) {
+        return thumbnails.find(thumb => thumb.url)?.url || null;
+    }
 
-    return sortedThumbnails.length > 0 ? sortedThumbnails[0].url : null;
+    const bigEnough = sizedThumbnails.find(thumb => thumb.width >= preferredSize);
+    return (bigEnough || sizedThumbnails[sizedThumbnails.length - 1]).url;
 }
 
 /**
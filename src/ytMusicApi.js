@@ -1,43 +1,302 @@
 // YouTube Music Companion Server API wrapper
 const logger = require('./loggerwrapper.js');
+const { CircuitBreaker, CIRCUIT_STATES } = require('./circuitBreaker.js');
+const { AuthError, ServerUnreachableError, TimeoutError, UnsupportedCommandError, createHttpError, isServerFailure } = require('./errors.js');
+const { parseCapabilities, supportsCommand } = require('./serverCapabilities.js');
+
+// Default Companion Server location (IPv4 as recommended by the YTMD docs)
+const DEFAULT_SERVER_CONFIG = {
+    host: '127.0.0.1',
+    port: 9863,
+    protocol: 'http'
+};
+
+// Request timeout, retry and circuit breaker defaults
+// Only idempotent GET requests are retried, commands are sent at most once
+const DEFAULT_REQUEST_OPTIONS = {
+    timeoutMs: 5000,
+    retries: 2,
+    retryBaseDelayMs: 300,
+    failureThreshold: 3,
+    resetTimeoutMs: 15000,
+    authApprovalTimeoutMs: 35000 // YTMD holds /auth/request open while its approval dialog shows (30s)
+};
 
 /**
  * YouTube Music API wrapper for Companion Server
  * Handles authentication, state management, and player controls
  */
 class YouTubeMusicApi {
-    constructor() {
-        this.baseUrl = 'http://localhost:9863/api/v1';
+    constructor(serverConfig = {}) {
+        this.host = null;
+        this.port = null;
+        this.protocol = null;
+        this.baseUrl = null;
+        this.setServerConfig(serverConfig);
         this.token = null;
         this.isAuthenticated = false;
         this.appId = null;
         this.currentState = null;
         this.lastStateUpdate = null;
+        this.requestOptions = { ...DEFAULT_REQUEST_OPTIONS };
+        this.probeTimer = null;
+        this.authRevokedCallbacks = [];
+        this.capabilities = null; // From /metadata, null until the server answered once
+        this.capabilitiesChangeCallbacks = [];
+
+        this.circuitBreaker = new CircuitBreaker({
+            name: this.getServerUrl(),
+            failureThreshold: this.requestOptions.failureThreshold,
+            resetTimeoutMs: this.requestOptions.resetTimeoutMs
+        });
+        this.circuitBreaker.onStateChange(state => {
+            if (state === CIRCUIT_STATES.OPEN) {
+                this.scheduleServerProbe();
+            }
+        });
+    }
+
+    /**
+     * Set the Companion Server host, port and protocol
+     * Missing or invalid values fall back to the defaults.
+     * Returns true if the effective server URL changed
+     */
+    setServerConfig({ host, port, protocol } = {}) {
+        const previousUrl = this.baseUrl;
+
+        this.host = (typeof host === 'string' && host.trim() !== '') ? host.trim() : DEFAULT_SERVER_CONFIG.host;
+
+        const parsedPort = parseInt(port, 10);
+        this.port = (!isNaN(parsedPort) && parsedPort > 0 && parsedPort <= 65535) ? parsedPort : DEFAULT_SERVER_CONFIG.port;
+
+        const normalizedProtocol = typeof protocol === 'string' ? protocol.toLowerCase() : '';
+        this.protocol = ['http', 'https'].includes(normalizedProtocol) ? normalizedProtocol : DEFAULT_SERVER_CONFIG.protocol;
+
+        this.baseUrl = `${this.getServerUrl()}/api/v1`;
+
+        const changed = previousUrl !== null && previousUrl !== this.baseUrl;
+        if (changed) {
+            logger.info(`Companion Server address changed to ${this.getServerUrl()}`);
+            // Failures of the old address say nothing about the new one
+            if (this.circuitBreaker) {
+                this.circuitBreaker.name = this.getServerUrl();
+                this.circuitBreaker.reset();
+            }
+            // Another server may run another YTMD version
+            this.capabilities = null;
+        }
+        return changed;
+    }
+
+    /**
+     * Get the Companion Server root URL (without API version)
+     */
+    getServerUrl() {
+        return `${this.protocol}://${this.host}:${this.port}`;
+    }
+
+    /**
+     * Get the current Companion Server host, port and protocol
+     */
+    getServerConfig() {
+        return {
+            host: this.host,
+            port: this.port,
+            protocol: this.protocol
+        };
     }
 
     /**
      * Check if the companion server is running
+     * A successful check also closes the circuit breaker and updates the capabilities
      */
     async checkServerStatus() {
         try {
-            const response = await fetch('http://localhost:9863/metadata');
-            const data = await response.json();
+            const { text } = await this.fetchWithTimeout(`${this.getServerUrl()}/metadata`, {}, this.requestOptions.timeoutMs);
+            const data = JSON.parse(text);
             logger.info('YouTube Music Companion Server is running, API versions:', data.apiVersions);
+            this.circuitBreaker.recordSuccess();
+            this.updateCapabilities(parseCapabilities(data));
             return true;
         } catch (error) {
-            logger.error('YouTube Music Companion Server is not running:', error.message);
+            logger.error(`YouTube Music Companion Server is not running at ${this.getServerUrl()}:`, error.message);
             return false;
         }
     }
 
+    /**
+     * Store new capabilities and notify listeners if the supported commands changed
+     */
+    updateCapabilities(capabilities) {
+        const previous = this.capabilities;
+        this.capabilities = capabilities;
+
+        if (!capabilities.compatible) {
+            logger.warn(`Companion Server at ${this.getServerUrl()} advertises no supported API version:`, capabilities.apiVersions);
+        }
+
+        const changed = !previous ||
+            previous.compatible !== capabilities.compatible ||
+            previous.commands.join() !== capabilities.commands.join();
+        if (!changed) return;
+
+        this.capabilitiesChangeCallbacks.forEach(callback => {
+            try {
+                callback(capabilities);
+            } catch (error) {
+                logger.error('Error in capabilities change callback:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Get the capabilities read from /metadata, null if not checked yet
+     */
+    getCapabilities() {
+        return this.capabilities;
+    }
+
+    /**
+     * Whether the connected server supports a command (true while capabilities are unknown)
+     */
+    supportsCommand(command) {
+        return supportsCommand(this.capabilities, command);
+    }
+
+    /**
+     * Register callback for capability changes, called with the new capabilities
+     */
+    onCapabilitiesChange(callback) {
+        if (typeof callback === 'function') {
+            this.capabilitiesChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Whether the circuit breaker currently considers the server offline
+     */
+    isOffline() {
+        return this.circuitBreaker.isOpen();
+    }
+
+    /**
+     * Register callback for online/offline changes, called with (isOffline)
+     */
+    onOfflineChange(callback) {
+        // Half-open is still treated as offline until a request succeeds
+        this.circuitBreaker.onStateChange(state => {
+            if (state === CIRCUIT_STATES.OPEN || state === CIRCUIT_STATES.CLOSED) {
+                callback(state === CIRCUIT_STATES.OPEN);
+            }
+        });
+    }
+
+    /**
+     * Register callback for a token the server rejected (401/403), called with the AuthError
+     */
+    onAuthRevoked(callback) {
+        if (typeof callback === 'function') {
+            this.authRevokedCallbacks.push(callback);
+        }
+    }
+
+    notifyAuthRevoked(error) {
+        this.authRevokedCallbacks.forEach(callback => {
+            try {
+                callback(error);
+            } catch (callbackError) {
+                logger.error('Error in auth revoked callback:', callbackError.message);
+            }
+        });
+    }
+
+    /**
+     * Probe /metadata once the breaker cooldown has elapsed, so the offline state
+     * clears even when no key requests are made
+     * Reschedules itself while the circuit stays open: failures of requests sent before it opened
+     * move the cooldown, and a failed probe reopens the circuit
+     */
+    scheduleServerProbe() {
+        clearTimeout(this.probeTimer);
+
+        this.probeTimer = setTimeout(async () => {
+            this.probeTimer = null;
+            if (!this.circuitBreaker.isOpen()) return;
+
+            if (this.circuitBreaker.getRetryDelay() > 0) {
+                this.scheduleServerProbe();
+                return;
+            }
+
+            // The probe is the half-open trial request, unless a key request already took it
+            if (!this.circuitBreaker.canRequest()) return;
+
+            const isRunning = await this.checkServerStatus();
+            if (!isRunning) {
+                // Reopens the circuit, the state change schedules the next probe
+                this.circuitBreaker.recordFailure();
+            }
+        }, this.circuitBreaker.getRetryDelay() + 100);
+    }
+
+    /**
+     * Stop probing and forget the breaker state, for a player target that was removed
+     */
+    dispose() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+        this.circuitBreaker.dispose();
+    }
+
+    /**
+     * fetch() that aborts after timeoutMs, resolves to { response, text } with the body read
+     * The timeout covers reading the body, so a server that sends headers and then stalls still times out.
+     * options.signal can cancel the request, its AbortError is rethrown as is.
+     * Throws TimeoutError on timeout and ServerUnreachableError on network errors
+     */
+    async fetchWithTimeout(url, options = {}, timeoutMs = this.requestOptions.timeoutMs) {
+        const { signal, ...fetchOptions } = options;
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        const cancel = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', cancel, { once: true });
+            if (signal.aborted) cancel();
+        }
+
+        try {
+            const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+            const text = await response.text();
+            return { response, text };
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            if (error.name === 'AbortError') {
+                throw new TimeoutError(`Request to ${url} timed out after ${timeoutMs}ms`);
+            }
+            throw new ServerUnreachableError(`Could not reach ${url}: ${error.cause?.code || error.message}`, { cause: error });
+        } finally {
+            clearTimeout(timeout);
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+
     /**
      * Makes an authenticated request to the API
+     * Requests time out after `timeoutMs`. GET requests are retried with jittered
+     * exponential backoff when the server could not be reached or answered 5xx.
+     * While the circuit breaker is open requests fail immediately.
+     * Throws the typed errors from errors.js
      */
-    async makeRequest(endpoint, method = 'GET', body = null) {
+    async makeRequest(endpoint, method = 'GET', body = null, requestOptions = {}) {
         if (!this.isAuthenticated) {
-            throw new Error('Not authenticated with YouTube Music Companion Server');
+            throw new AuthError();
         }
 
+        const { timeoutMs, retries, retryBaseDelayMs } = { ...this.requestOptions, ...requestOptions };
+        const maxAttempts = method === 'GET' ? retries + 1 : 1;
+
         const url = `${this.baseUrl}${endpoint}`;
         const options = {
             method,
@@ -51,27 +310,56 @@ class YouTubeMusicApi {
             options.body = JSON.stringify(body);
         }
 
-        try {
-            const response = await fetch(url, options);
-            
-            // Check rate limit headers
-            const remaining = response.headers.get('x-ratelimit-remaining');
-            const resetTime = response.headers.get('x-ratelimit-reset');
-            
-            if (remaining && parseInt(remaining) < 5) {
-                logger.warn(`Rate limit warning: ${remaining} requests remaining until ${resetTime}`);
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            if (!this.circuitBreaker.canRequest()) {
+                const retryIn = Math.ceil(this.circuitBreaker.getRetryDelay() / 1000);
+                const retry = retryIn > 0 ? `retrying in ${retryIn}s` : 'checking the connection';
+                throw new ServerUnreachableError(`YouTube Music Companion Server offline at ${this.getServerUrl()} (${retry})`);
             }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+            try {
+                const { response, text } = await this.fetchWithTimeout(url, options, timeoutMs);
+
+                // Check rate limit headers
+                const remaining = response.headers.get('x-ratelimit-remaining');
+                const resetTime = response.headers.get('x-ratelimit-reset');
+
+                if (remaining && parseInt(remaining) < 5) {
+                    logger.warn(`Rate limit warning: ${remaining} requests remaining until ${resetTime}`);
+                }
+
+                if (!response.ok) {
+                    throw createHttpError(`API request failed: ${response.status} ${response.statusText} - ${text}`, response, text);
+                }
+
+                this.circuitBreaker.recordSuccess();
+                return text ? JSON.parse(text) : null;
+            } catch (error) {
+                if (!isServerFailure(error)) {
+                    // The server answered (auth, rate limit, rejected command), so it is reachable
+                    if (error.statusCode) {
+                        this.circuitBreaker.recordSuccess();
+                    }
+                    logger.error(`Error making request to ${endpoint}:`, error.message);
+
+                    // The server no longer accepts our token (e.g. revoked in YTMD settings)
+                    if (error instanceof AuthError && error.statusCode) {
+                        this.notifyAuthRevoked(error);
+                    }
+                    throw error;
+                }
+
+                this.circuitBreaker.recordFailure();
+
+                if (attempt >= maxAttempts || this.circuitBreaker.isOpen()) {
+                    logger.error(`Error making request to ${endpoint} (attempt ${attempt}/${maxAttempts}):`, error.message);
+                    throw error;
+                }
+
+                const delay = retryBaseDelayMs * Math.pow(2, attempt - 1) * (0.5 + Math.random());
+                logger.warn(`Request to ${endpoint} failed (attempt ${attempt}/${maxAttempts}), retrying in ${Math.round(delay)}ms:`, error.message);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
-
-            const text = await response.text();
-            return text ? JSON.parse(text) : null;
-        } catch (error) {
-            logger.error(`Error making request to ${endpoint}:`, error.message);
-            throw error;
         }
     }
 
@@ -93,7 +381,7 @@ class YouTubeMusicApi {
         };
 
         try {
-            const response = await fetch(`${this.baseUrl}/auth/requestcode`, {
+            const { response, text } = await this.fetchWithTimeout(`${this.baseUrl}/auth/requestcode`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -102,11 +390,10 @@ class YouTubeMusicApi {
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to request auth code: ${response.status} ${response.statusText} - ${errorText}`);
+                throw createHttpError(`Failed to request auth code: ${response.status} ${response.statusText} - ${text}`, response, text);
             }
 
-            const data = await response.json();
+            const data = JSON.parse(text);
             logger.info('Authentication code requested successfully');
             return data.code;
         } catch (error) {
@@ -118,8 +405,9 @@ class YouTubeMusicApi {
     /**
      * Exchange code for authentication token
      * Note: This may take up to 30 seconds as user interaction is required
+     * @param {AbortSignal} signal - Optional signal to cancel waiting for approval
      */
-    async exchangeCodeForToken(code) {
+    async exchangeCodeForToken(code, signal = null) {
         if (!this.appId) {
             throw new Error('App ID not set. Call requestAuthCode first.');
         }
@@ -132,20 +420,20 @@ class YouTubeMusicApi {
         try {
             logger.info('Exchanging code for token (this may take up to 30 seconds)...');
             
-            const response = await fetch(`${this.baseUrl}/auth/request`, {
+            const { response, text } = await this.fetchWithTimeout(`${this.baseUrl}/auth/request`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify(requestBody)
-            });
+                body: JSON.stringify(requestBody),
+                signal
+            }, this.requestOptions.authApprovalTimeoutMs);
 
             if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to exchange code for token: ${response.status} ${response.statusText} - ${errorText}`);
+                throw createHttpError(`Failed to exchange code for token: ${response.status} ${response.statusText} - ${text}`, response, text);
             }
 
-            const data = await response.json();
+            const data = JSON.parse(text);
             this.token = data.token;
             this.isAuthenticated = true;
             
@@ -208,7 +496,7 @@ class YouTubeMusicApi {
      */
     async getPlaylists() {
         try {
-            return await this.makeRequest('/playlists');
+            return await this.makeRequest('/playlists', 'GET', null, { timeoutMs: 35000 });
         } catch (error) {
             logger.error('Failed to get playlists:', error.message);
             throw error;
@@ -219,6 +507,10 @@ class YouTubeMusicApi {
      * Send player command
      */
     async sendCommand(command, data = null) {
+        if (!this.supportsCommand(command)) {
+            throw new UnsupportedCommandError(command);
+        }
+
         const body = { command };
         if (data !== null) {
             body.data = data;
@@ -351,15 +643,16 @@ class YouTubeMusicApi {
             isPaused: player.trackState === 0,  // 0 = Paused
             isBuffering: player.trackState === 2, // 2 = Buffering
             volume: player.volume || 0,
+            isMuted: player.muted ?? null, // null if this YTMD version does not report it
             likeStatus: video.likeStatus, // -1 Unknown, 0 Dislike, 1 Indifferent, 2 Like
             thumbnails: video.thumbnails || [],
             videoId: video.id,
             playlistId: state.playlistId,
             isLive: video.isLive || false,
-            videoType: video.videoType || -1,
+            videoType: video.videoType ?? -1, // -1 Unknown, 0 Audio, 1 Video, 2 Upload, 3 Podcast
             adPlaying: player.adPlaying || false,
             queue: player.queue || null,
-            repeatMode: player.queue?.repeatMode || -1, // -1 Unknown, 0 None, 1 All, 2 One
+            repeatMode: player.queue?.repeatMode ?? -1, // -1 Unknown, 0 None, 1 All, 2 One
         };
     }
 }
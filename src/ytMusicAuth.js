@@ -1,16 +1,124 @@
 // YouTube Music Authentication Handler
 const logger = require('./loggerwrapper.js');
 const { plugin } = require('@eniac/flexdesigner');
+const { DEFAULT_TARGET_ID, readTargetConfig, writeTargetConfig } = require('./targetConfig.js');
+const { AuthError, RateLimitedError } = require('./errors.js');
+
+// How long YTMD shows the approval dialog for a requested code
+const AUTH_APPROVAL_TIMEOUT_MS = 30000;
 
 /**
  * YouTube Music Authentication Manager
  * Handles the companion server authentication flow
  */
 class YouTubeMusicAuth {
-    constructor(ytMusicApi) {
+    constructor(ytMusicApi, targetId = DEFAULT_TARGET_ID) {
         this.ytMusicApi = ytMusicApi;
+        this.targetId = targetId;
         this.isAuthenticated = false;
         this.authenticationInProgress = false;
+        this.authStateCallbacks = [];
+        this.authProgressCallbacks = [];
+        this.pendingAuth = null; // { code, expiresAt, controller, cancelled } while waiting for approval
+
+        // The server rejecting our token means it was revoked in YTMD
+        this.ytMusicApi.onAuthRevoked(error => this.handleTokenRevoked(error));
+    }
+
+    /**
+     * Register callback for authentication changes, called with (isAuthenticated, reason)
+     * reason is 'authenticated' after a successful flow, 'revoked' when the server rejected the token
+     * or 'reset' when the token was dropped on request
+     */
+    onAuthStateChange(callback) {
+        if (typeof callback === 'function') {
+            this.authStateCallbacks.push(callback);
+        }
+    }
+
+    notifyAuthStateChange(isAuthenticated, reason) {
+        this.authStateCallbacks.forEach(callback => {
+            try {
+                callback(isAuthenticated, reason);
+            } catch (error) {
+                logger.error('Error in auth state callback:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Register callback for approval progress, called with the pending auth info
+     * (see getPendingAuth) when a code was received and with null once the flow ended
+     */
+    onAuthProgress(callback) {
+        if (typeof callback === 'function') {
+            this.authProgressCallbacks.push(callback);
+        }
+    }
+
+    notifyAuthProgress() {
+        const pendingAuth = this.getPendingAuth();
+        this.authProgressCallbacks.forEach(callback => {
+            try {
+                callback(pendingAuth);
+            } catch (error) {
+                logger.error('Error in auth progress callback:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Get the code waiting for approval in YTMD, or null if no flow is waiting
+     */
+    getPendingAuth() {
+        if (!this.pendingAuth) {
+            return null;
+        }
+        return {
+            code: this.pendingAuth.code,
+            expiresAt: this.pendingAuth.expiresAt,
+            remainingMs: Math.max(0, this.pendingAuth.expiresAt - Date.now())
+        };
+    }
+
+    /**
+     * Stop waiting for approval of the pending code
+     * Returns false if no flow was waiting
+     */
+    cancelAuthenticationFlow() {
+        if (!this.pendingAuth) {
+            return false;
+        }
+
+        logger.info(`Cancelling authentication flow for target "${this.targetId}"`);
+        this.pendingAuth.cancelled = true;
+        this.pendingAuth.controller.abort();
+        return true;
+    }
+
+    /**
+     * Handle a token the server no longer accepts: clear it from the API and config
+     * and notify listeners so keys can ask for re-authentication
+     */
+    async handleTokenRevoked(error) {
+        // Several in-flight requests may fail with the same dead token, only handle the first
+        if (!this.ytMusicApi.getToken()) {
+            return;
+        }
+
+        logger.warn(`Authentication token for target "${this.targetId}" was rejected, clearing it:`, error?.message);
+        await this.clearAuthentication();
+        this.notifyAuthStateChange(false, 'revoked');
+    }
+
+    /**
+     * Drop the current token on request (e.g. long press on the connection key)
+     * so a new authentication flow can be started
+     */
+    async resetAuthentication() {
+        logger.info(`Resetting authentication for target "${this.targetId}"`);
+        await this.clearAuthentication();
+        this.notifyAuthStateChange(false, 'reset');
     }
 
     /**
@@ -18,7 +126,7 @@ class YouTubeMusicAuth {
      */
     async initializeAuthentication() {
         try {
-            logger.info('Initializing YouTube Music authentication from config...');
+            logger.info(`Initializing YouTube Music authentication from config for target "${this.targetId}"...`);
             
             const config = await plugin.getConfig();
             
@@ -27,12 +135,14 @@ class YouTubeMusicAuth {
                 return false;
             }
 
+            const targetConfig = readTargetConfig(config, this.targetId);
+
             // Check if we have saved authentication data
-            if (config.isAuthenticated && config.token && config.appId) {
+            if (targetConfig.isAuthenticated && targetConfig.token && targetConfig.appId) {
                 logger.info('Found saved authentication data, validating...');
                 
                 // Set the token and try to make a test request
-                this.ytMusicApi.setToken(config.token, config.appId);
+                this.ytMusicApi.setToken(targetConfig.token, targetConfig.appId);
                 
                 let lastError = null;
                 const maxRetries = 10;
@@ -48,11 +158,10 @@ class YouTubeMusicAuth {
                         lastError = error;
                         
                         // Handle rate limiting
-                        if (error.message.includes('429') && error.message.includes('Rate limit exceeded')) {
+                        if (error instanceof RateLimitedError) {
                             if (attempt === 0) {
                                 // For first retry, wait the specified retry time
-                                const retryMatch = error.message.match(/retry in (\d+) seconds/);
-                                const retrySeconds = retryMatch ? parseInt(retryMatch[1]) : 3;
+                                const retrySeconds = Math.ceil(error.retryAfterMs / 1000);
                                 const waitTime = (retrySeconds + 1) * 1000; // Add 1 second for safety
                                 
                                 logger.warn(`Rate limit exceeded during authentication test (attempt ${attempt + 1}/${maxRetries}), waiting ${retrySeconds + 1} seconds...`);
@@ -66,14 +175,25 @@ class YouTubeMusicAuth {
                                 logger.error(`Rate limit exceeded, all ${maxRetries} attempts failed`);
                                 break;
                             }
-                        } else {
-                            // Non-rate limit error, don't retry
+                        } else if (error instanceof AuthError) {
+                            // Token was rejected, don't retry
                             logger.warn('Saved authentication token is invalid:', error.message);
                             break;
+                        } else {
+                            // Server unreachable, timed out or other error: the token may still be valid,
+                            // keep it so keys can recover once the server is back
+                            logger.warn('Could not validate saved authentication, keeping saved token:', error.message);
+                            this.isAuthenticated = true;
+                            return true;
                         }
                     }
                 }
                 
+                if (lastError instanceof AuthError) {
+                    await this.handleTokenRevoked(lastError);
+                    return false;
+                }
+
                 // All retries failed, clear authentication
                 logger.warn('Authentication validation failed after all retries:', lastError.message);
                 await this.clearAuthentication();
@@ -119,30 +239,45 @@ class YouTubeMusicAuth {
 
             // Step 1: Request authentication code
             const code = await this.ytMusicApi.requestAuthCode(appName, appVersion);
-            logger.info('Authentication code received, waiting for user approval...');
+            logger.info(`Authentication code ${code} received, waiting for user approval...`);
+
+            // Show the code on keys and in settings so the user can match it with the YTMD dialog
+            this.pendingAuth = {
+                code,
+                expiresAt: Date.now() + AUTH_APPROVAL_TIMEOUT_MS,
+                controller: new AbortController(),
+                cancelled: false
+            };
+            this.notifyAuthProgress();
 
             // Step 2: Exchange code for token (this will wait for user interaction)
-            const token = await this.ytMusicApi.exchangeCodeForToken(code);
+            const token = await this.ytMusicApi.exchangeCodeForToken(code, this.pendingAuth.controller.signal);
 
-            // Step 3: Save authentication data to config
-            const updatedConfig = {
-                ...config,
+            // Step 3: Save authentication data to config (re-read in case it changed while waiting)
+            const latestConfig = await plugin.getConfig() || config;
+            const updatedConfig = writeTargetConfig(latestConfig, this.targetId, {
                 token: token,
                 appId: this.ytMusicApi.getAppId(),
                 isAuthenticated: true,
                 lastAuthTime: Date.now()
-            };
+            });
 
             await plugin.setConfig(updatedConfig);
             this.isAuthenticated = true;
 
             logger.info('Authentication completed successfully');
+            this.notifyAuthStateChange(true, 'authenticated');
             return { 
                 success: true, 
                 message: 'Successfully authenticated with YouTube Music!' 
             };
 
         } catch (error) {
+            if (this.pendingAuth?.cancelled) {
+                logger.info('Authentication flow cancelled by user');
+                return { success: false, cancelled: true, error: 'Authentication cancelled' };
+            }
+
             logger.error('Authentication flow failed:', error.message);
             return { 
                 success: false, 
@@ -150,6 +285,10 @@ class YouTubeMusicAuth {
             };
         } finally {
             this.authenticationInProgress = false;
+            if (this.pendingAuth) {
+                this.pendingAuth = null;
+                this.notifyAuthProgress();
+            }
         }
     }
 
@@ -166,13 +305,12 @@ class YouTubeMusicAuth {
 
             // Clear config
             const config = await plugin.getConfig() || {};
-            const updatedConfig = {
-                ...config,
+            const updatedConfig = writeTargetConfig(config, this.targetId, {
                 token: null,
                 appId: null,
                 isAuthenticated: false,
                 lastAuthTime: null
-            };
+            });
 
             await plugin.setConfig(updatedConfig);
             logger.info('Authentication cleared successfully');
@@ -196,10 +334,12 @@ class YouTubeMusicAuth {
      */
     getAuthInfo() {
         return {
+            targetId: this.targetId,
             isAuthenticated: this.getAuthenticationStatus(),
             appId: this.ytMusicApi.getAppId(),
             hasToken: !!this.ytMusicApi.getToken(),
-            authInProgress: this.authenticationInProgress
+            authInProgress: this.authenticationInProgress,
+            pendingAuth: this.getPendingAuth()
         };
     }
 
@@ -231,22 +371,20 @@ class YouTubeMusicAuth {
 
     /**
      * Ensure authentication is valid before making API calls
+     * Throws AuthError without a token, otherwise the typed error of the test call as is
+     * (a rejected token is an AuthError, an offline server a ServerUnreachableError, ...)
      */
     async ensureAuthenticated() {
         if (!this.getAuthenticationStatus()) {
             // Try to initialize from config first
             const initialized = await this.initializeAuthentication();
             if (!initialized) {
-                throw new Error('YouTube Music authentication required. Please authenticate first.');
+                throw new AuthError('YouTube Music authentication required. Please authenticate first.');
             }
         }
 
         // Double-check with a test call
-        const testResult = await this.testAuthentication();
-        if (!testResult.success) {
-            throw new Error('YouTube Music authentication is invalid: ' + testResult.error);
-        }
-
+        await this.ytMusicApi.getCurrentState();
         return true;
     }
 }
@@ -1,6 +1,37 @@
 // YouTube Music Real-time Socket.IO Handler
 const io = require('socket.io-client');
 const logger = require('./loggerwrapper.js');
+const { AuthError } = require('./errors.js');
+const { diffStates, getQueueSignature, StateEventEmitter } = require('./stateEvents.js');
+
+// REST polling intervals used while the socket is down, picked from the last known state
+const POLLING_INTERVALS = {
+    playingMs: 1000,  // Progress and track changes should stay smooth
+    pausedMs: 5000,   // A track is loaded but nothing moves
+    idleMs: 15000     // Nothing loaded or the server did not answer
+};
+
+// How often /metadata is probed once the reconnect backoff ran out, the socket is
+// reconnected as soon as the server answers (e.g. YTMD restarted an hour later)
+const PRESENCE_PROBE_INTERVAL_MS = 60000;
+
+// Where the client is in its connect/reconnect cycle
+const RECONNECT_PHASES = {
+    IDLE: 'idle',             // Not connected and not trying (never connected or intentional disconnect)
+    CONNECTING: 'connecting', // Socket connection attempt running
+    CONNECTED: 'connected',   // Socket connected
+    BACKOFF: 'backoff',       // Waiting for the next reconnect attempt (exponential backoff)
+    PROBING: 'probing'        // Backoff ran out, waiting for /metadata to answer again
+};
+
+/**
+ * Whether a Socket.IO connect_error means the server rejected our token
+ */
+function isAuthFailure(error) {
+    if (!error) return false;
+    if (error.data?.status === 401 || error.data?.status === 403) return true;
+    return /unauthori[sz]ed|forbidden|invalid token|not authenticated/i.test(error.message || '');
+}
 
 /**
  * Real-time state manager for YouTube Music using Socket.IO
@@ -16,8 +47,17 @@ class YouTubeMusicRealtime {
         this.reconnectDelay = 1000; // Start with 1 second
         this.stateUpdateCallbacks = [];
         this.playlistUpdateCallbacks = [];
+        this.authFailureCallbacks = [];
+        this.transportChangeCallbacks = [];
         this.lastState = null;
         this.connectionAttemptTimer = null;
+        this.polling = false;
+        this.pollTimer = null;
+        this.presenceProbeTimer = null;
+        this.reconnectPhase = RECONNECT_PHASES.IDLE;
+        this.nextAttemptAt = null;
+        this.reconnectPhaseCallbacks = [];
+        this.events = new StateEventEmitter();
     }
 
     /**
@@ -35,8 +75,8 @@ class YouTubeMusicRealtime {
             return true;
         }
         if (this.socket && !this.isConnected) {
-            logger.debug('Socket.IO socket exists but not connected, disconnecting first');
-            this.disconnect();
+            logger.debug('Socket.IO socket exists but not connected, closing it first');
+            this.closeSocket();
         }
         if (!this.ytMusicApi.getAuthenticationStatus()) {
             logger.error('Must be authenticated before connecting to real-time updates');
@@ -52,9 +92,10 @@ class YouTubeMusicRealtime {
         
         try {
             this.connecting = true;
+            this.setReconnectPhase(RECONNECT_PHASES.CONNECTING);
             logger.info('Connecting to YouTube Music real-time updates...');
-            // Important: Use IPv4 address as per documentation
-            const socketUrl = 'http://127.0.0.1:9863/api/v1/realtime';
+            // Important: Use IPv4 address as per documentation (default host is 127.0.0.1)
+            const socketUrl = `${this.ytMusicApi.getServerUrl()}/api/v1/realtime`;
             logger.info('Socket.IO URL:', socketUrl);
             
             this.socket = io(socketUrl, {
@@ -76,18 +117,15 @@ class YouTubeMusicRealtime {
                 const connectTimeout = setTimeout(() => {
                     logger.error('Socket.IO connection timeout');
                     this.connecting = false;
-                    this.disconnect();
-                    reject(new Error('Connection timeout'));
+                    this.closeSocket();
+                    const error = new Error('Connection timeout');
+                    this.handleConnectionError(error);
+                    reject(error);
                 }, 15000);
                 
-                this.socket.on('connect', () => {
-                    logger.info('Socket.IO connect event received');
+                // Connection state is handled in setupEventHandlers, this only settles the promise
+                this.socket.once('connect', () => {
                     clearTimeout(connectTimeout);
-                    this.isConnected = true;
-                    this.connecting = false;
-                    this.reconnectAttempts = 0;
-                    this.reconnectDelay = 500;
-                    logger.info('Successfully connected to YouTube Music real-time updates');
                     resolve(true);
                 });
                 
@@ -96,21 +134,20 @@ class YouTubeMusicRealtime {
                     clearTimeout(connectTimeout);
                     this.isConnected = false;
                     this.connecting = false;
+
+                    // A rejected token won't get better by reconnecting
+                    if (isAuthFailure(error)) {
+                        logger.warn('Real-time connection rejected the authentication token');
+                        this.disconnect();
+                        this.notifyAuthFailure(error);
+                        reject(new AuthError(`Real-time connection rejected: ${error.message}`));
+                        return;
+                    }
+
                     logger.error('Socket.IO connection error:', error.message);
                     this.handleConnectionError(error);
                     reject(error);
                 });
-                
-                this.socket.on('disconnect', (reason) => {
-                    logger.warn('Socket.IO disconnect event received:', reason);
-                    this.isConnected = false;
-                    this.connecting = false;
-                    this.handleDisconnection(reason);
-                });
-                
-                this.socket.on('error', (error) => {
-                    logger.error('Socket.IO error event received:', error);
-                });
             });
         } catch (error) {
             this.connecting = false;
@@ -151,11 +188,6 @@ class YouTubeMusicRealtime {
             this.handleStateUpdate(state);
         });
         
-        // Test event handler to verify Socket.IO is working
-        this.socket.on('connect', () => {
-            logger.info('Socket.IO connect event received in setupEventHandlers');
-        });
-        
         // Playlist events
         this.socket.on('playlist-created', (playlist) => {
             logger.info('Playlist created:', playlist.title);
@@ -165,11 +197,18 @@ class YouTubeMusicRealtime {
             logger.info('Playlist deleted:', playlistId);
             this.handlePlaylistDeleted(playlistId);
         });
-        // Connection status events
+        // Connection status events, registered once per socket
         this.socket.on('connect', () => {
             logger.info('Real-time connection established successfully');
             this.isConnected = true;
+            this.connecting = false;
             this.reconnectAttempts = 0;
+            this.reconnectDelay = 500;
+            this.stopPresenceProbe();
+            this.setReconnectPhase(RECONNECT_PHASES.CONNECTED);
+            // Socket is back, REST polling is no longer needed
+            this.stopPolling();
+            this.notifyTransportChange('socket');
             // Request initial state via REST API since Socket.IO only sends updates
             setTimeout(() => {
                 this.requestInitialState().catch(error => {
@@ -217,6 +256,7 @@ class YouTubeMusicRealtime {
             if (formattedState) {
                 // Add timestamp for tracking freshness
                 formattedState.lastUpdate = Date.now();
+                const previousState = this.lastState;
                 
                 // Check if this is a meaningful change
                 if (this.shouldNotifyStateChange(formattedState)) {
@@ -237,6 +277,8 @@ class YouTubeMusicRealtime {
                     // Even if we don't notify, update lastState for progress tracking
                     this.lastState = formattedState;
                 }
+
+                this.publishStateEvents(previousState, formattedState);
             } else {
                 logger.warn('Failed to format state - formatTrackState returned null');
             }
@@ -269,6 +311,8 @@ class YouTubeMusicRealtime {
             'isPaused',
             'likeStatus',
             'volume',
+            'isMuted',
+            'adPlaying',
             'repeatMode'
         ];
 
@@ -279,6 +323,12 @@ class YouTubeMusicRealtime {
             }
         }
 
+        // The queue is a new object with every update, compare its items and selected item
+        if (getQueueSignature(this.lastState.queue) !== getQueueSignature(newState.queue)) {
+            logger.debug('State change detected: queue changed');
+            return true;
+        }
+
         // Check for significant progress changes (more than 2 seconds difference for seek detection)
         const progressDiff = Math.abs((newState.progress || 0) - (this.lastState.progress || 0));
         if (progressDiff > 2) {
@@ -329,11 +379,15 @@ class YouTubeMusicRealtime {
      */
     handleConnectionError(error) {
         this.isConnected = false;
+
+        // Keep keys fed from the REST API until the socket is back
+        this.startPolling();
         
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.scheduleReconnect();
         } else {
-            logger.error('Max reconnection attempts reached, giving up');
+            logger.warn('Max reconnection attempts reached, probing the server until it is back');
+            this.startPresenceProbe();
         }
     }
 
@@ -349,8 +403,20 @@ class YouTubeMusicRealtime {
             return;
         }
 
+        // The server closed the socket, which also happens when the token is revoked.
+        // A REST call tells us: a 401/403 there notifies onAuthRevoked listeners.
+        if (reason === 'io server disconnect') {
+            this.ytMusicApi.getCurrentState().catch(error => {
+                logger.debug('State check after server disconnect failed:', error.message);
+            });
+        }
+
+        this.startPolling();
+
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.scheduleReconnect();
+        } else {
+            this.startPresenceProbe();
         }
     }
 
@@ -366,8 +432,11 @@ class YouTubeMusicRealtime {
         const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000); // Max 30 seconds
 
         logger.info(`Scheduling reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
+        this.nextAttemptAt = Date.now() + delay;
+        this.setReconnectPhase(RECONNECT_PHASES.BACKOFF);
 
         this.connectionAttemptTimer = setTimeout(async () => {
+            this.connectionAttemptTimer = null;
             try {
                 await this.connect();
             } catch (error) {
@@ -376,6 +445,178 @@ class YouTubeMusicRealtime {
         }, delay);
     }
 
+    /**
+     * Probe /metadata at a low frequency until the server answers, then reconnect
+     * with a fresh backoff. Keeps running until connected or disconnect() is called
+     */
+    startPresenceProbe() {
+        this.stopPresenceProbe();
+
+        this.nextAttemptAt = Date.now() + PRESENCE_PROBE_INTERVAL_MS;
+        this.setReconnectPhase(RECONNECT_PHASES.PROBING);
+        logger.info(`Probing ${this.ytMusicApi.getServerUrl()} every ${PRESENCE_PROBE_INTERVAL_MS / 1000}s until it is back`);
+
+        this.presenceProbeTimer = setTimeout(async () => {
+            this.presenceProbeTimer = null;
+            if (this.reconnectPhase !== RECONNECT_PHASES.PROBING) return;
+
+            const isRunning = await this.ytMusicApi.checkServerStatus();
+            if (!isRunning || this.reconnectPhase !== RECONNECT_PHASES.PROBING) {
+                if (this.reconnectPhase === RECONNECT_PHASES.PROBING) {
+                    this.startPresenceProbe();
+                }
+                return;
+            }
+
+            logger.info('Companion Server is back, reconnecting real-time updates');
+            this.reconnectAttempts = 0;
+            try {
+                // The connect handler requests fresh state, a failure restarts the backoff
+                await this.connect();
+            } catch (error) {
+                logger.warn('Reconnect after presence probe failed:', error.message);
+            }
+        }, PRESENCE_PROBE_INTERVAL_MS);
+    }
+
+    stopPresenceProbe() {
+        if (this.presenceProbeTimer) {
+            clearTimeout(this.presenceProbeTimer);
+            this.presenceProbeTimer = null;
+        }
+    }
+
+    /**
+     * Get the current reconnect phase with attempt counters and the time of the next attempt
+     */
+    getReconnectStatus() {
+        const waiting = this.reconnectPhase === RECONNECT_PHASES.BACKOFF || this.reconnectPhase === RECONNECT_PHASES.PROBING;
+        return {
+            phase: this.reconnectPhase,
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.maxReconnectAttempts,
+            nextAttemptAt: waiting ? this.nextAttemptAt : null,
+            nextAttemptInMs: waiting && this.nextAttemptAt ? Math.max(0, this.nextAttemptAt - Date.now()) : null,
+            transport: this.isConnected ? 'socket' : (this.polling ? 'polling' : null)
+        };
+    }
+
+    /**
+     * Register callback for reconnect phase changes, called with (phase, previousPhase)
+     */
+    onReconnectPhaseChange(callback) {
+        if (typeof callback === 'function') {
+            this.reconnectPhaseCallbacks.push(callback);
+        }
+    }
+
+    setReconnectPhase(phase) {
+        const previousPhase = this.reconnectPhase;
+        if (previousPhase === phase) return;
+
+        this.reconnectPhase = phase;
+        logger.debug(`Real-time reconnect phase: ${previousPhase} -> ${phase}`);
+        this.reconnectPhaseCallbacks.forEach(callback => {
+            try {
+                callback(phase, previousPhase);
+            } catch (error) {
+                logger.error('Error in reconnect phase callback:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Start polling getCurrentState while the socket is down
+     * Polled states go through handleStateUpdate, so onStateUpdate callbacks don't see a difference
+     */
+    startPolling() {
+        if (this.polling) return;
+        if (!this.ytMusicApi.getAuthenticationStatus()) {
+            logger.debug('Not authenticated, not starting REST polling');
+            return;
+        }
+
+        logger.warn('Real-time socket unavailable, falling back to REST polling');
+        this.polling = true;
+        this.notifyTransportChange('polling');
+        this.schedulePoll(0);
+    }
+
+    /**
+     * Stop REST polling (socket connected again or intentional disconnect)
+     */
+    stopPolling() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (!this.polling) return;
+
+        logger.info('Stopped REST polling');
+        this.polling = false;
+    }
+
+    isPolling() {
+        return this.polling;
+    }
+
+    schedulePoll(delayMs) {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+        }
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.pollState();
+        }, delayMs);
+    }
+
+    async pollState() {
+        if (!this.polling) return;
+
+        let succeeded = false;
+        try {
+            const state = await this.ytMusicApi.getCurrentState();
+            // The socket may have come back while the request was running
+            if (!this.polling) return;
+            this.handleStateUpdate(state);
+            succeeded = true;
+        } catch (error) {
+            logger.debug('REST poll failed:', error.message);
+            if (error instanceof AuthError) {
+                // Token is gone, polling again won't help. Re-auth listeners take it from here
+                this.stopPolling();
+                return;
+            }
+        }
+
+        if (this.polling) {
+            this.schedulePoll(this.getPollingInterval(succeeded));
+        }
+    }
+
+    /**
+     * Poll fast while playing, slow while paused, slowest when idle or the last poll failed
+     */
+    getPollingInterval(lastPollSucceeded = true) {
+        if (!lastPollSucceeded || !this.lastState || !this.lastState.videoId) {
+            return POLLING_INTERVALS.idleMs;
+        }
+        return this.lastState.isPlaying ? POLLING_INTERVALS.playingMs : POLLING_INTERVALS.pausedMs;
+    }
+
+    /**
+     * Close the socket without touching reconnect state or polling
+     */
+    closeSocket() {
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+        this.isConnected = false;
+        this.connecting = false;
+        this._handlersRegistered = false;
+    }
+
     /**
      * Disconnect from Socket.IO
      */
@@ -388,18 +629,45 @@ class YouTubeMusicRealtime {
             this._debugTimer = null;
         }
         
-        if (this.socket) {
-            this.socket.disconnect();
-            this.socket = null;
+        // Cancel pending reconnects, otherwise they revive a socket we just closed
+        if (this.connectionAttemptTimer) {
+            clearTimeout(this.connectionAttemptTimer);
+            this.connectionAttemptTimer = null;
         }
-        this.isConnected = false;
-        this.connecting = false;
-        this._handlersRegistered = false;
+
+        const hadTransport = this.isConnected || this.polling;
+        this.stopPresenceProbe();
+        this.stopPolling();
+        this.closeSocket();
         this.reconnectAttempts = 0;
+        this.nextAttemptAt = null;
+        this.setReconnectPhase(RECONNECT_PHASES.IDLE);
+        if (hadTransport) {
+            this.notifyTransportChange(null);
+        }
         
         logger.info('Socket.IO disconnected and cleaned up');
     }
 
+    /**
+     * Register callback for transport changes, called with 'socket', 'polling' or null (stopped)
+     */
+    onTransportChange(callback) {
+        if (typeof callback === 'function') {
+            this.transportChangeCallbacks.push(callback);
+        }
+    }
+
+    notifyTransportChange(transport) {
+        this.transportChangeCallbacks.forEach(callback => {
+            try {
+                callback(transport);
+            } catch (error) {
+                logger.error('Error in transport change callback:', error.message);
+            }
+        });
+    }
+
     /**
      * Register callback for state updates
      */
@@ -409,6 +677,25 @@ class YouTubeMusicRealtime {
         }
     }
 
+    /**
+     * Register callback for real-time auth failures (token rejected on connect)
+     */
+    onAuthFailure(callback) {
+        if (typeof callback === 'function') {
+            this.authFailureCallbacks.push(callback);
+        }
+    }
+
+    notifyAuthFailure(error) {
+        this.authFailureCallbacks.forEach(callback => {
+            try {
+                callback(error);
+            } catch (callbackError) {
+                logger.error('Error in auth failure callback:', callbackError.message);
+            }
+        });
+    }
+
     /**
      * Register callback for playlist updates
      */
@@ -444,6 +731,9 @@ class YouTubeMusicRealtime {
     getConnectionStatus() {
         return {
             isConnected: this.isConnected,
+            isPolling: this.polling,
+            transport: this.isConnected ? 'socket' : (this.polling ? 'polling' : null),
+            reconnectPhase: this.reconnectPhase,
             reconnectAttempts: this.reconnectAttempts,
             hasSocket: !!this.socket,
             lastState: this.lastState
@@ -463,11 +753,31 @@ class YouTubeMusicRealtime {
     /**
      * Get the last received state from real-time connection
      * Note: Socket.IO API only sends state updates, doesn't respond to requests
+     * Only used for event diffs and the polling interval, keys read the target's playback store
      */
     getLastState() {
         return this.lastState;
     }
 
+    /**
+     * Emit player events (trackChanged, volumeChanged, ...) for the difference between two states
+     * Runs after the state update callbacks, so listeners see the updated target state
+     */
+    publishStateEvents(previousState, nextState) {
+        diffStates(previousState, nextState).forEach(event => {
+            logger.debug(`Player event ${event.type}:`, { previous: event.previous, next: event.next });
+            this.events.emit(event);
+        });
+    }
+
+    /**
+     * Subscribe to a player event (see PLAYER_EVENTS), returns a function that unsubscribes
+     * The callback gets { type, previous, next, state }
+     */
+    onPlayerEvent(type, callback) {
+        return this.events.on(type, callback);
+    }
+
     /**
      * Request initial state via REST API (since Socket.IO only sends updates)
      */
@@ -484,6 +794,7 @@ class YouTubeMusicRealtime {
                 const formattedState = this.ytMusicApi.formatTrackState(state);
                 if (formattedState) {
                     formattedState.lastUpdate = Date.now();
+                    const previousState = this.lastState;
                     this.lastState = formattedState;
                     
                     // Notify callbacks of initial state
@@ -494,6 +805,7 @@ class YouTubeMusicRealtime {
                             logger.error('Error in initial state callback:', error.message);
                         }
                     });
+                    this.publishStateEvents(previousState, formattedState);
                     
                     logger.debug('Initial state loaded successfully');
                     return formattedState;
@@ -517,4 +829,5 @@ class YouTubeMusicRealtime {
     }
 }
 
-module.exports = YouTubeMusicRealtime;
\ No newline at end of file
+module.exports = YouTubeMusicRealtime;
+module.exports.RECONNECT_PHASES = RECONNECT_PHASES;
\ No newline at end of file
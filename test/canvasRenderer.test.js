@@ -0,0 +1,52 @@
+// Canvas Renderer Tests
+// Every now playing layout renders a frame on wide and narrow keys, with and without text and progress.
+// Needs skia-canvas and @eniac/flexdesigner installed, the tests are skipped without them.
+const test = require('node:test');
+const assert = require('node:assert');
+
+let canvasRenderer = null;
+let skip = false;
+try {
+    canvasRenderer = require('../src/canvasRenderer.js');
+} catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    skip = `render dependencies not installed (${error.message.split('\n')[0]})`;
+}
+
+// Key sizes the layouts are used on: a wide key, a square key and a narrow one
+const KEY_SIZES = [[480, 60], [60, 60], [60, 120]];
+
+// Track shown on the key, each case turns lines or progress off
+const CASES = [
+    { name: 'all lines', trackName: 'YOASOBI - アイドル', artistName: 'YOASOBI', progress: 42, duration: 213 },
+    { name: 'no progress', trackName: 'Beyoncé - Halo', artistName: 'Beyoncé', showProgress: false },
+    { name: 'title only', trackName: 'عمرو دياب - تملي معاك', showArtist: false, progress: 10, duration: 200 },
+    { name: 'no text', showTitle: false, showArtist: false, isPlaying: true }
+];
+
+const layouts = canvasRenderer ? Object.keys(canvasRenderer.NOW_PLAYING_LAYOUTS) : ['all'];
+
+layouts.forEach(layout => {
+    test(`${layout} layout renders`, { skip }, async () => {
+        for (const [width, height] of KEY_SIZES) {
+            for (const { name, ...track } of CASES) {
+                const frameInfo = {};
+                const canvas = await canvasRenderer.createYouTubeMusicCanvas({
+                    width, height, layout, frameInfo, ...track
+                });
+                assert.strictEqual(canvas.width, width, `${layout}, ${name} at ${width}x${height}`);
+                assert.strictEqual(canvas.height, height, `${layout}, ${name} at ${width}x${height}`);
+                assert.strictEqual(typeof frameInfo.scrolling, 'boolean', `${layout}, ${name} reports scrolling`);
+            }
+        }
+    });
+});
+
+test('getAlbumArtSize fits the art on the key', { skip }, () => {
+    layouts.forEach(layout => {
+        KEY_SIZES.forEach(([width, height]) => {
+            const size = canvasRenderer.getAlbumArtSize(layout, width, height);
+            assert.ok(size >= 0 && size <= Math.max(width, height), `${layout} at ${width}x${height}: ${size}`);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+// Text Layout Tests
+// Grapheme splitting, line direction and truncation (src/textLayout.js) against real-world titles in
+// fixtures/titles.json. Run with npm test.
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitGraphemes, getTextDirection, truncateText } = require('../src/textLayout.js');
+const titles = require('./fixtures/titles.json');
+
+// Stand-in for a canvas context: every code point is 7px wide, so a grapheme of several code points
+// (accents, ZWJ sequences, flags) is wider than a plain letter, like in a real font with fallbacks
+const measuringCtx = {
+    measureText: text => ({ width: Array.from(text).length * 7 })
+};
+const ELLIPSIS_WIDTH = measuringCtx.measureText('...').width;
+
+test('splitGraphemes keeps user-perceived characters together', () => {
+    titles.forEach(({ title, graphemes, note }) => {
+        const parts = splitGraphemes(title);
+        assert.strictEqual(parts.length, graphemes, `${JSON.stringify(title)} (${note})`);
+        assert.strictEqual(parts.join(''), title, `${JSON.stringify(title)} is split without losing code points`);
+    });
+});
+
+test('getTextDirection follows the first strong character', () => {
+    titles.forEach(({ title, direction, note }) => {
+        assert.strictEqual(getTextDirection(title), direction, `${JSON.stringify(title)} (${note})`);
+    });
+});
+
+test('truncateText cuts between graphemes and keeps the longest run that fits', () => {
+    titles.filter(({ title }) => title).forEach(({ title }) => {
+        const fullWidth = measuringCtx.measureText(title).width;
+        const graphemes = splitGraphemes(title);
+
+        for (let maxWidth = ELLIPSIS_WIDTH; maxWidth < fullWidth + 14; maxWidth++) {
+            const result = truncateText(measuringCtx, title, maxWidth);
+            const label = `${JSON.stringify(title)} at ${maxWidth}px`;
+
+            if (fullWidth <= maxWidth) {
+                assert.strictEqual(result, title, `${label} fits as is`);
+                continue;
+            }
+
+            assert.ok(result.endsWith('...'), `${label} ends in an ellipsis`);
+            assert.ok(measuringCtx.measureText(result).width <= maxWidth, `${label} fits`);
+
+            const kept = splitGraphemes(result.slice(0, -3));
+            assert.deepStrictEqual(kept, graphemes.slice(0, kept.length), `${label} keeps whole graphemes`);
+
+            const longer = graphemes.slice(0, kept.length + 1).join('') + '...';
+            assert.ok(kept.length === graphemes.length - 1 || measuringCtx.measureText(longer).width > maxWidth,
+                `${label} keeps as many graphemes as fit`);
+        }
+    });
+});
+
+test('truncateText handles empty text and invalid widths', () => {
+    assert.strictEqual(truncateText(measuringCtx, null, 100), '');
+    assert.strictEqual(truncateText(measuringCtx, '', 100), '');
+    assert.strictEqual(truncateText(measuringCtx, 'Beyoncé - Halo', 0), 'Beyoncé - Halo');
+    assert.strictEqual(truncateText(measuringCtx, 'Beyoncé - Halo', undefined), 'Beyoncé - Halo');
+});